@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// Walks assets/ and writes assets/manifest.json for AssetManager.
+// Run after adding or removing photos: npm run manifest
+// Metrics patches from the metadata editor are written out as sidecars first:
+//   npm run manifest -- metrics-patch.json
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { IMAGE_EXTENSIONS, buildManifest } from '../src/modules/manifest.js';
+import { metricsPathFor } from '../src/modules/glyphMetrics.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const assetsDir = path.join(rootDir, 'assets');
+
+/**
+ * Recursively list files under a directory as "/"-separated relative paths.
+ */
+async function walk(dir, prefix = '') {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      files.push(...await walk(path.join(dir, entry.name), relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read every city pack's city.json, keyed by city code.
+ */
+async function readCityInfo(files) {
+  const cityInfo = {};
+
+  for (const file of files) {
+    const match = file.match(/^Alphabet\/cities\/([^/]+)\/city\.json$/);
+    if (!match) continue;
+
+    try {
+      cityInfo[match[1]] = JSON.parse(await readFile(path.join(assetsDir, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${file}: ${error.message}`);
+    }
+  }
+
+  return cityInfo;
+}
+
+/**
+ * Read the glyph metrics sidecar (XX.json) of every photo that has one,
+ * keyed by sidecar path.
+ */
+async function readMetrics(files) {
+  const available = new Set(files);
+  const metrics = {};
+
+  for (const file of files) {
+    if (!IMAGE_EXTENSIONS.some(ext => file.toLowerCase().endsWith(ext))) continue;
+    const sidecar = metricsPathFor(file);
+    if (!available.has(sidecar)) continue;
+
+    try {
+      metrics[sidecar] = JSON.parse(await readFile(path.join(assetsDir, sidecar), 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${sidecar}: ${error.message}`);
+    }
+  }
+
+  return metrics;
+}
+
+/**
+ * Write every entry of a metrics patch ({ metrics: { <photo path>: metrics } })
+ * as the photo's sidecar. Entries for photos that don't exist are skipped.
+ */
+async function applyPatch(patchFile) {
+  const patch = JSON.parse(await readFile(patchFile, 'utf8'));
+  const files = new Set(await walk(assetsDir));
+  let written = 0;
+
+  for (const [file, metrics] of Object.entries(patch.metrics || {})) {
+    if (!files.has(file)) {
+      console.warn(`Skipping metrics for missing photo ${file}`);
+      continue;
+    }
+    await writeFile(path.join(assetsDir, metricsPathFor(file)), JSON.stringify(metrics, null, 2) + '\n');
+    written++;
+  }
+
+  console.log(`Applied ${patchFile}: ${written} sidecars written`);
+}
+
+async function main() {
+  for (const patchFile of process.argv.slice(2)) {
+    await applyPatch(patchFile);
+  }
+
+  const files = await walk(assetsDir);
+  const manifest = buildManifest(files, await readCityInfo(files), await readMetrics(files));
+  const outFile = path.join(assetsDir, 'manifest.json');
+
+  await writeFile(outFile, JSON.stringify(manifest, null, 2) + '\n');
+
+  const cityCount = Object.keys(manifest.cities).length;
+  const metricsCount = Object.keys(manifest.metrics).length;
+  console.log(`Wrote ${path.relative(rootDir, outFile)} (version ${manifest.version}, ${cityCount} cities, ` +
+    `${metricsCount} glyph metrics)`);
+}
+
+main().catch(error => {
+  console.error('Failed to build asset manifest:', error);
+  process.exit(1);
+});
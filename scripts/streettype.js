@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+// Renders StreetType posters from the command line, with the web app's letter
+// selection (TypographyManager) and layout (Composition), reading photos from assets/.
+//   streettype render "HELLO WORLD" --style serif --city NYC --size large --format 11x17 --seed 42 -o out.png
+//   streettype render --batch names.csv --out-dir signs --type pdf
+// PNG and PDF output need the canvas package, an optional dependency that npm
+// skips where it can't be built; SVG output works without it, but then photos
+// aren't optically kerned.
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { canvasFormats, debug, defaults, printOptions, styleFallbackPolicies, styleRegistry, themes } from '../src/modules/config.js';
+
+// Loggers are created when the modules load, so set the log level before loading them
+debug.enabled = process.argv.includes('--verbose');
+const { assetManager } = await import('../src/modules/assetManager.js');
+const { typographyManager } = await import('../src/modules/typographyManager.js');
+const { Composition } = await import('../src/modules/composition.js');
+const { buildLayoutSVG, textureTile } = await import('../src/modules/svgExport.js');
+const { buildImagePDF, fitToArea, getPrintGeometry, setPngDpi } = await import('../src/modules/printExport.js');
+const { BATCH_FIELDS, imageSize, parseBatch, parseTypeSize, posterFilename } = await import('../src/modules/headless.js');
+const { generateSeed } = await import('../src/modules/utils.js');
+const { MANIFEST_PATH } = await import('../src/modules/manifest.js');
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Layout width in px, like a browser canvas; print output is scaled from it
+const LAYOUT_WIDTH = 1000;
+
+// Photos are measured and kerned at this height at most, and embedded at full size
+const LAYOUT_PHOTO_HEIGHT = 512;
+
+const MIME_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png' };
+
+const USAGE = `Usage: streettype render <text> [options] -o poster.png
+       streettype render --batch posters.csv|posters.json [options] --out-dir dir
+
+Options:
+  --style <style>      ${styleRegistry.map(style => style.value).join(', ')} or random (default ${defaults.fontStyle})
+  --city <code>        City pack, or mixed (default ${defaults.city})
+  --case <case>        mixed, upper or lower (default ${defaults.caseOption})
+  --size <size>        small, medium, large or a cap height in px (default ${defaults.fontSize})
+  --fit                Use the largest size that fits the format instead
+  --format <format>    ${Object.keys(canvasFormats).join(', ')} (default ${defaults.canvasFormat})
+  --seed <seed>        Layout seed (default: a new one per poster)
+  --theme <theme>      ${Object.keys(themes).join(', ')} (default ${defaults.theme})
+  --align <align>      left, center, right or justify (default ${defaults.textAlign})
+  --fallback <policy>  ${styleFallbackPolicies.map(policy => policy.value).join(' or ')} for glyphs the style has no photo for
+  --dpi <dpi>          Print resolution (default ${printOptions.defaultDpi})
+  --bleed              Add ${printOptions.bleed} in bleed on every side
+  --safe-margin        Keep the text ${printOptions.safeMargin} in inside the trim
+  -o, --output <file>  Output file; .png, .pdf or .svg (default streettype.png)
+  --batch <file>       CSV (with a text column, or one text per line) or JSON list of posters;
+                       columns ${BATCH_FIELDS.join(', ')}
+  --out-dir <dir>      Folder for batch output (default .)
+  --type <type>        png, pdf or svg for batch output (default png)
+  --verbose            Log asset lookups`;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+/**
+ * The canvas package, or null when it isn't installed.
+ */
+async function loadCanvas() {
+  try {
+    return await import('canvas');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a poster's settings against the registry, the manifest and the config.
+ */
+function validate(poster) {
+  const styles = [...styleRegistry.map(style => style.value), 'random'];
+  const cityCodes = [...assetManager.getCities().map(city => city.code), 'mixed'];
+  const checks = [
+    ['style', styles],
+    ['city', cityCodes],
+    ['case', ['mixed', 'upper', 'lower']],
+    ['format', Object.keys(canvasFormats)],
+    ['theme', Object.keys(themes)],
+    ['align', ['left', 'center', 'right', 'justify']],
+    ['fallback', styleFallbackPolicies.map(policy => policy.value)]
+  ];
+  for (const [field, allowed] of checks) {
+    if (!allowed.includes(poster[field])) {
+      throw new Error(`Unknown ${field} "${poster[field]}" (one of ${allowed.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Load photos from assets/ for layout: their size, and with the canvas package
+ * their pixels (scaled down) for optical kerning. Each photo is read once per run.
+ */
+function createPhotoLoader(canvasLib) {
+  const photos = new Map();
+
+  const load = async url => {
+    const bytes = await readFile(path.join(rootDir, url));
+    const href = `data:${MIME_TYPES[path.extname(url).toLowerCase()] || 'image/jpeg'};base64,${bytes.toString('base64')}`;
+
+    if (!canvasLib) {
+      const size = imageSize(bytes);
+      return size && { ...size, href };
+    }
+
+    const image = await canvasLib.loadImage(bytes);
+    const scale = Math.min(1, LAYOUT_PHOTO_HEIGHT / image.height);
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const canvas = canvasLib.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, width, height);
+    return { width, height, pixels: ctx.getImageData(0, 0, width, height).data, href };
+  };
+
+  return url => {
+    if (!photos.has(url)) {
+      photos.set(url, load(url).catch(error => {
+        console.warn(`Could not read ${url}: ${error.message}`);
+        return null;
+      }));
+    }
+    return photos.get(url);
+  };
+}
+
+/**
+ * Lay a poster out and build its SVG, as the web app's SVG export does.
+ * @returns {Promise<{ svg: string, width: number, height: number, composition: Composition }>}
+ */
+async function composePoster(poster, loadPhoto) {
+  const letters = await typographyManager.getLettersFromText(poster.text, {
+    style: poster.style,
+    city: poster.city,
+    caseOption: poster.case,
+    styleFallback: poster.fallback,
+    seed: poster.seed
+  });
+
+  const composition = new Composition();
+  composition.setTypeScale({ size: poster.size, fit: poster.fit });
+  composition.setCanvasFormat(poster.format);
+  composition.setAlignment({ align: poster.align });
+  composition.setTheme(poster.theme);
+  composition.setKerningTables(assetManager.getKerningTables());
+
+  const placed = await Promise.all(letters.map(async lt => {
+    if (lt.type !== 'letter' || !lt.url || lt.url.startsWith('data:')) {
+      return composition.themeFallback(lt);
+    }
+    const img = await loadPhoto(lt.url);
+    return img ? { ...lt, img } : lt;
+  }));
+
+  const { items, height } = composition.layoutLetters(placed, LAYOUT_WIDTH);
+  const pageHeight = Math.max(height, composition.formatHeight(LAYOUT_WIDTH));
+  const imageHrefs = new Map(items
+    .filter(item => item.kind === 'image')
+    .map(item => [item.letter.url, item.letter.img.href]));
+
+  const svg = buildLayoutSVG({
+    width: LAYOUT_WIDTH,
+    height: pageHeight,
+    items,
+    imageHrefs,
+    theme: composition.theme,
+    textSize: composition.fallbackTextSize()
+  });
+  return { svg, width: LAYOUT_WIDTH, height: pageHeight, composition };
+}
+
+/**
+ * Rasterize a composed poster at print size, scaled into the format's safe
+ * area, with the background running out to the bleed (as in renderPrint).
+ */
+async function renderPrint(canvasLib, { svg, width, height, composition }, poster, type) {
+  const geometry = getPrintGeometry(poster.format, {
+    dpi: poster.dpi,
+    bleed: poster.bleed ? printOptions.bleed : 0,
+    safeMargin: poster.safeMargin ? printOptions.safeMargin : 0
+  });
+  const fit = fitToArea(width, height, geometry.safe);
+  const canvas = canvasLib.createCanvas(geometry.widthPx, geometry.heightPx);
+  const ctx = canvas.getContext('2d');
+  const { theme } = composition;
+
+  ctx.fillStyle = theme.background;
+  ctx.fillRect(0, 0, geometry.widthPx, geometry.heightPx);
+
+  const tile = textureTile(theme.texture);
+  if (tile) {
+    ctx.save();
+    ctx.translate(fit.x, fit.y);
+    ctx.scale(fit.scale, fit.scale);
+    ctx.fillStyle = theme.texture.color;
+    ctx.globalAlpha = theme.texture.opacity;
+    const area = { x: -fit.x / fit.scale, y: -fit.y / fit.scale, w: geometry.widthPx / fit.scale, h: geometry.heightPx / fit.scale };
+    for (let ty = Math.floor(area.y / tile.size) * tile.size; ty < area.y + area.h; ty += tile.size) {
+      for (let tx = Math.floor(area.x / tile.size) * tile.size; tx < area.x + area.w; tx += tile.size) {
+        for (const rect of tile.rects) {
+          ctx.fillRect(tx + rect.x, ty + rect.y, rect.w, rect.h);
+        }
+      }
+    }
+    ctx.restore();
+  }
+
+  const page = await canvasLib.loadImage(Buffer.from(svg));
+  ctx.drawImage(page, fit.x, fit.y, width * fit.scale, height * fit.scale);
+
+  if (type === 'pdf') {
+    return buildImagePDF({
+      jpeg: new Uint8Array(canvas.toBuffer('image/jpeg', { quality: 0.95 })),
+      pixelWidth: geometry.widthPx,
+      pixelHeight: geometry.heightPx,
+      widthPt: geometry.widthPt,
+      heightPt: geometry.heightPt,
+      bleedPt: geometry.bleedPt
+    });
+  }
+  return setPngDpi(new Uint8Array(canvas.toBuffer('image/png')), geometry.dpi);
+}
+
+/**
+ * Settings, output file and output type of a poster: its batch row (if any)
+ * over the command-line options. Throws when any of them is invalid.
+ */
+function preparePoster(values, entry, index) {
+  const poster = {
+    ...values,
+    safeMargin: values['safe-margin'],
+    ...entry,
+    seed: entry.seed ?? values.seed ?? generateSeed()
+  };
+  poster.size = parseTypeSize(poster.size);
+  poster.dpi = Number(poster.dpi);
+  validate(poster);
+
+  const file = values.batch
+    ? path.join(values['out-dir'], posterFilename(entry, index, values.type))
+    : poster.output;
+  const type = path.extname(file).slice(1).toLowerCase();
+  if (!['png', 'pdf', 'svg'].includes(type)) {
+    throw new Error(`${file}: output must be .png, .pdf or .svg`);
+  }
+  return { poster, file, type };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      style: { type: 'string', default: defaults.fontStyle },
+      city: { type: 'string', default: defaults.city },
+      case: { type: 'string', default: defaults.caseOption },
+      size: { type: 'string', default: String(defaults.fontSize) },
+      fit: { type: 'boolean', default: false },
+      format: { type: 'string', default: defaults.canvasFormat },
+      seed: { type: 'string' },
+      theme: { type: 'string', default: defaults.theme },
+      align: { type: 'string', default: defaults.textAlign },
+      fallback: { type: 'string', default: defaults.styleFallback },
+      dpi: { type: 'string', default: String(printOptions.defaultDpi) },
+      bleed: { type: 'boolean', default: false },
+      'safe-margin': { type: 'boolean', default: false },
+      output: { type: 'string', short: 'o', default: 'streettype.png' },
+      batch: { type: 'string' },
+      'out-dir': { type: 'string', default: '.' },
+      type: { type: 'string', default: 'png' },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, ...words] = positionals;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (command !== 'render' || (!values.batch && words.length === 0)) {
+    fail(USAGE);
+  }
+
+  assetManager.setManifest(JSON.parse(await readFile(path.join(rootDir, MANIFEST_PATH), 'utf8')));
+  await typographyManager.initialize();
+
+  const posters = values.batch
+    ? parseBatch(await readFile(values.batch, 'utf8'), values.batch)
+    : [{ text: words.join(' '), output: values.output }];
+  const canvasLib = await loadCanvas();
+  const loadPhoto = createPhotoLoader(canvasLib);
+
+  // Check every poster before writing any, so a bad batch row doesn't leave
+  // the batch half rendered
+  const jobs = [];
+  const problems = [];
+  for (const [index, entry] of posters.entries()) {
+    try {
+      jobs.push(preparePoster(values, entry, index));
+    } catch (error) {
+      problems.push(values.batch ? `Poster ${index + 1} ("${entry.text}"): ${error.message}` : error.message);
+    }
+  }
+  if (problems.length > 0) {
+    fail(problems.join('\n'));
+  }
+  if (!canvasLib && jobs.some(job => job.type !== 'svg')) {
+    fail('PNG and PDF output need the canvas package (npm install canvas); SVG output works without it');
+  }
+
+  for (const { poster, file, type } of jobs) {
+    const composed = await composePoster(poster, loadPhoto);
+    const output = type === 'svg' ? composed.svg : await renderPrint(canvasLib, composed, poster, type);
+    await mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await writeFile(file, output);
+    console.log(`Wrote ${file} ("${poster.text}", seed ${poster.seed})`);
+  }
+}
+
+main().catch(error => fail(error.message));
@@ -1,19 +1,110 @@
 // Clean asset pipeline for normalized StreetType asset structure
-import { createLogger, checkFileExists, loadImage, generateFallbackLetterSVG } from './utils.js';
-import { debug } from './config.js';
+import { createLogger, generateFallbackLetterSVG } from './utils.js';
+import { debug, cacheBudget, cities, cityFallbacks, getStyleFolders, styleRegistry } from './config.js';
+import { MANIFEST_PATH, indexManifest, listManifestFolders } from './manifest.js';
+import { ResolutionStore } from './offlineCache.js';
+import { LRUCache } from './lruCache.js';
 
 const logger = createLogger('AssetManager', debug.enabled);
 
+// Letters a style needs photos for, in both cases, to be complete
+const ALPHABET = Array.from('ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+
+const DIGITS = Array.from('0123456789');
+
+// Folder names for symbol photos (assets/Symbols/<name>)
+const SYMBOL_FOLDERS = {
+  '!': 'exclamation',
+  '?': 'question',
+  '.': 'period',
+  ',': 'comma',
+  ':': 'colon',
+  ';': 'semicolon',
+  '"': 'quote',
+  "'": 'apostrophe',
+  '(': 'parenthesis-open',
+  ')': 'parenthesis-close',
+  '[': 'bracket-open',
+  ']': 'bracket-close',
+  '{': 'brace-open',
+  '}': 'brace-close',
+  '<': 'angle-open',
+  '>': 'angle-close',
+  '+': 'plus',
+  '-': 'minus',
+  '*': 'asterisk',
+  '/': 'slash',
+  '\\': 'backslash',
+  '|': 'vertical-bar',
+  '=': 'equals',
+  '@': 'at',
+  '#': 'hash',
+  '$': 'dollar',
+  '%': 'percent',
+  '^': 'caret',
+  '&': 'ampersand',
+  '_': 'underscore',
+  '~': 'tilde',
+  '`': 'backtick',
+  '“': 'quote-open',
+  '”': 'quote-close',
+  '‘': 'single-quote-open',
+  '’': 'single-quote-close',
+  '«': 'guillemet-open',
+  '»': 'guillemet-close',
+  '–': 'en-dash',
+  '—': 'em-dash',
+  '…': 'ellipsis',
+  '•': 'bullet',
+  '¡': 'exclamation-inverted',
+  '¿': 'question-inverted',
+  '€': 'euro',
+  '£': 'pound',
+  '¥': 'yen',
+  '¢': 'cent',
+  '₹': 'rupee',
+  '₩': 'won',
+  '₽': 'ruble',
+  '₺': 'lira',
+  '₿': 'bitcoin',
+  '©': 'copyright',
+  '®': 'registered',
+  '™': 'trademark',
+  '°': 'degree',
+  '§': 'section',
+  '¶': 'pilcrow',
+  '№': 'numero'
+};
+
 /**
  * AssetManager handles loading assets from the normalized folder structure:
  * assets/Alphabet/cities/<CITY>/Alphabet/<LETTER>/<STYLE>-<case>/XX.jpg
+ * where <STYLE> is any folder name the style registry lists for the UI style
+ * (e.g. "script" → "Script:Handwriting").
+ * assets/Alphabet/cities/<CITY>/Numbers/<DIGIT>/XX.jpg  (optional, per city)
+ * assets/Alphabet/cities/<CITY>/Symbols/<SYMBOL>/XX.jpg (optional, per city)
  * assets/Numbers/<DIGIT>/XX.jpg  
  * assets/Symbols/<SYMBOL>/XX.jpg
+ * Numeral and symbol folders (city-scoped or shared) may hold style subfolders,
+ * e.g. assets/Numbers/<DIGIT>/<STYLE>/XX.jpg, which are tried before the
+ * unstyled photos next to them.
+ *
+ * Each city folder is a pack with a city.json (name, coverage, attribution).
+ * Glyphs missing from the selected city are looked up in the fallback cities.
+ *
+ * Lookups are resolved against assets/manifest.json (see scripts/build-manifest.js),
+ * so only images known to exist are ever requested. Resolved lookups are kept
+ * in IndexedDB per manifest version, so later visits start with them.
  */
 export class AssetManager {
   constructor() {
-    this.cache = new Map();
+    // Resolved URLs by lookup; sized by string length, as SVG fallbacks are long data URLs
+    this.cache = new LRUCache({ capacity: cacheBudget.lookupBytes, sizeOf: (url, key) => (key.length + url.length) * 2 });
     this.loadingPromises = new Map();
+    this.manifest = null;
+    this.manifestIndex = new Map();
+    this.manifestPromise = null;
+    this.resolutions = new ResolutionStore();
     this.stats = {
       requested: 0,
       loaded: 0,
@@ -31,17 +122,21 @@ export class AssetManager {
    * @param {string} params.case - Case (upper, lower)
    * @param {string} params.city - City code
    * @param {string} params.variant - Variant number (01, 02, etc.)
+   * @param {string[]} params.fallbackCities - Cities to try after `city`, in order
+   * @param {AbortSignal} params.signal - Rejects with an AbortError once aborted
    * @returns {Promise<string>} Working URL or throws
    */
-  async get({ char, style, case: charCase, city = 'NYC', variant = '01' }) {
+  async get({ char, style, case: charCase, city = 'NYC', variant = '01', fallbackCities = cityFallbacks, signal }) {
+    signal?.throwIfAborted();
     this.stats.requested++;
     
-    const cacheKey = `${char}_${style}_${charCase}_${city}_${variant}`;
+    const cacheKey = `${char}_${style}_${charCase}_${city}_${variant}_${fallbackCities.join(',')}`;
     
     // Check cache first
-    if (this.cache.has(cacheKey)) {
+    const cachedUrl = this.cache.get(cacheKey);
+    if (cachedUrl !== undefined) {
       this.stats.cached++;
-      return this.cache.get(cacheKey);
+      return cachedUrl;
     }
     
     // Check if already loading
@@ -50,13 +145,17 @@ export class AssetManager {
     }
     
     // Start loading
-    const loadPromise = this._loadWithFallbacks({ char, style, case: charCase, city, variant });
+    const loadPromise = this._loadWithFallbacks({ char, style, case: charCase, city, variant, fallbackCities });
     this.loadingPromises.set(cacheKey, loadPromise);
     
     try {
       const url = await loadPromise;
       this.cache.set(cacheKey, url);
       this.loadingPromises.delete(cacheKey);
+      // SVG fallbacks are cheap to regenerate and not worth storing
+      if (!url.startsWith('data:')) this.resolutions.set(cacheKey, url);
+      // The lookup stays cached for later generations even when this one was superseded
+      signal?.throwIfAborted();
       return url;
     } catch (error) {
       this.loadingPromises.delete(cacheKey);
@@ -65,25 +164,239 @@ export class AssetManager {
   }
 
   /**
-   * Load asset with complete fallback chain.
+   * Load the asset manifest once; later calls share the same promise.
+   * A missing manifest is logged and leaves every lookup on SVG fallbacks.
+   */
+  loadManifest(url = MANIFEST_PATH) {
+    if (!this.manifestPromise) {
+      this.manifestPromise = fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(async manifest => {
+          this._applyManifest(manifest);
+          await this._restoreResolutions(manifest.version);
+          logger.log(`Loaded asset manifest ${manifest.version} (${this.manifestIndex.size} folders)`);
+          return manifest;
+        })
+        .catch(error => {
+          logger.error(`Failed to load asset manifest from ${url}:`, error);
+          return null;
+        });
+    }
+    return this.manifestPromise;
+  }
+
+  /**
+   * Use an already-parsed manifest instead of fetching one.
+   */
+  setManifest(manifest) {
+    this._applyManifest(manifest);
+    this.manifestPromise = Promise.resolve(manifest);
+  }
+
+  /**
+   * Start the lookup cache with the lookups stored on earlier visits for the
+   * same manifest version.
    */
-  async _loadWithFallbacks({ char, style, case: charCase, city, variant }) {
-    const paths = this._buildFallbackPaths({ char, style, case: charCase, city, variant });
+  async _restoreResolutions(version) {
+    const stored = await this.resolutions.load(version);
+    for (const [key, url] of stored) {
+      if (!this.cache.has(key)) this.cache.set(key, url);
+    }
+    if (stored.size > 0) logger.log(`Restored ${stored.size} stored asset lookups`);
+  }
+
+  _applyManifest(manifest) {
+    this.manifest = manifest;
+    this.manifestIndex = indexManifest(manifest);
+    this.cache.clear();
+  }
+
+  /**
+   * List the city packs in the manifest as { code, name, coverage, attribution }.
+   * Falls back to config.cities when no manifest is loaded.
+   */
+  getCities() {
+    if (!this.manifest) {
+      return cities.map(code => ({ code, name: code, coverage: '', attribution: '' }));
+    }
     
-    logger.log(`Trying ${paths.length} paths for "${char}"`);
+    return Object.entries(this.manifest.cities || {}).map(([code, entry]) => ({
+      code,
+      name: entry.info?.name || code,
+      coverage: entry.info?.coverage || '',
+      attribution: entry.info?.attribution || ''
+    }));
+  }
+
+  /**
+   * List every photo the manifest has for a glyph, best match first.
+   * Uses the same fallback chain as get(), without SVG fallbacks.
+   */
+  async listPaths({ char, style, case: charCase, city = 'NYC', fallbackCities = cityFallbacks }) {
+    await this.loadManifest();
+    return this._buildFallbackPaths({ char, style, case: charCase, city, variant: '01', fallbackCities });
+  }
+
+  /**
+   * Measure how much of the alphabet each registry style has photos for in a
+   * city, following the same fallback chain as get(). A letter counts once
+   * per case; with city 'mixed' it counts when any city pack has it.
+   * @param {string} city - City code or 'mixed'
+   * @returns {Object} { <style>: { covered, total, ratio } }
+   */
+  getStyleCoverage(city) {
+    const cityCodes = city === 'mixed' ? this.getCities().map(c => c.code) : [city];
+    const coverage = {};
     
-    // Try each path in order
-    for (const path of paths) {
-      try {
-        const exists = await checkFileExists(path, 1000);
-        if (exists) {
-          logger.log(`Found asset: ${path}`);
-          this.stats.loaded++;
-          return path;
+    for (const { value: style } of styleRegistry) {
+      let covered = 0;
+      for (const char of ALPHABET) {
+        for (const charCase of ['upper', 'lower']) {
+          const hasPhoto = cityCodes.some(code =>
+            this._buildFallbackPaths({ char, style, case: charCase, city: code, variant: '01' }).length > 0);
+          if (hasPhoto) covered++;
         }
-      } catch (error) {
-        logger.warn(`Error checking path ${path}:`, error);
       }
+      const total = ALPHABET.length * 2;
+      coverage[style] = { covered, total, ratio: covered / total };
+    }
+    
+    return coverage;
+  }
+
+  /**
+   * Build a coverage report for a city: every letter in every style and case,
+   * every numeral and every symbol, with the folder the generator takes its
+   * photos from (following get()'s fallback chain) and how many variants it holds.
+   *
+   * A glyph is `borrowed` when its photos come from another city pack or from a
+   * city's generic fallback folder; borrowed and missing glyphs are the gaps
+   * the city's photographers still need to shoot.
+   * @param {string} city - City code
+   * @returns {Promise<Object>} { city, manifestVersion, cells, columns }
+   *   cells: { char, kind, style, case, variants, folder, borrowed } (case is null
+   *   for numerals and symbols, folder is null when there is no photo);
+   *   columns: { kind, style, case, covered, total } per style-case, and per style
+   *   for numerals and symbols
+   */
+  async getCoverageReport(city) {
+    await this.loadManifest();
+    const cells = [];
+    const columns = [];
+    
+    const addColumn = (kind, style, charCase, glyphs) => {
+      const column = { kind, style, case: charCase, covered: 0, total: glyphs.length };
+      for (const char of glyphs) {
+        const folder = this._candidateFolders({ char, style, case: charCase, city })
+          .find(candidate => (this.manifestIndex.get(candidate) || []).length > 0) || null;
+        const borrowed = !!folder && (/\/fallback\//.test(folder) ||
+          (this.getCityForPath(folder) !== null && this.getCityForPath(folder) !== city));
+        
+        cells.push({
+          char: charCase === 'lower' ? char.toLowerCase() : char,
+          kind,
+          style,
+          case: charCase,
+          variants: folder ? this.manifestIndex.get(folder).length : 0,
+          folder,
+          borrowed
+        });
+        if (folder && !borrowed) column.covered++;
+      }
+      columns.push(column);
+    };
+    
+    for (const { value: style } of styleRegistry) {
+      for (const charCase of ['upper', 'lower']) {
+        addColumn('letter', style, charCase, ALPHABET);
+      }
+    }
+    for (const { value: style } of styleRegistry) {
+      addColumn('number', style, null, DIGITS);
+    }
+    for (const { value: style } of styleRegistry) {
+      addColumn('symbol', style, null, Object.keys(SYMBOL_FOLDERS));
+    }
+    
+    return { city, manifestVersion: this.manifest?.version || null, cells, columns };
+  }
+
+  /**
+   * Get the kerning pair tables of every city pack, keyed by city code
+   * (see kerning.pairKerning).
+   */
+  getKerningTables() {
+    const tables = {};
+    for (const [code, entry] of Object.entries(this.manifest?.cities || {})) {
+      tables[code] = entry.kerning || {};
+    }
+    return tables;
+  }
+
+  /**
+   * List every photo folder in the manifest (see manifest.listManifestFolders).
+   */
+  listFolders() {
+    return listManifestFolders(this.manifest);
+  }
+
+  /**
+   * Whether a path is a photo listed in the loaded manifest.
+   * @param {string} path - Asset path (e.g. "assets/Numbers/1/01.jpg")
+   */
+  hasAsset(path) {
+    const slash = path?.lastIndexOf('/') ?? -1;
+    if (slash < 0) return false;
+    return (this.manifestIndex.get(path.slice(0, slash)) || []).includes(path.slice(slash + 1));
+  }
+
+  /**
+   * Get the glyph metrics recorded for a photo (from its sidecar), or null.
+   * @param {string} path - Resolved asset path (e.g. "assets/Numbers/1/01.jpg")
+   */
+  getMetrics(path) {
+    const metrics = this.manifest?.metrics;
+    if (!metrics || !path?.startsWith('assets/')) return null;
+    return metrics[path.slice('assets/'.length)] || null;
+  }
+
+  /**
+   * Record metrics for a photo in the loaded manifest, so glyphs built
+   * afterwards use them (e.g. while editing them in the metadata editor).
+   */
+  setMetrics(path, metrics) {
+    if (!this.manifest || !path?.startsWith('assets/')) return;
+    if (!this.manifest.metrics) this.manifest.metrics = {};
+    this.manifest.metrics[path.slice('assets/'.length)] = metrics;
+  }
+
+  /**
+   * Get the city pack a resolved asset path belongs to, or null for shared
+   * numerals/symbols and SVG fallbacks.
+   */
+  getCityForPath(path) {
+    const match = /^assets\/Alphabet\/cities\/([^/]+)\//.exec(path || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Load asset with complete fallback chain.
+   */
+  async _loadWithFallbacks({ char, style, case: charCase, city, variant, fallbackCities }) {
+    await this.loadManifest();
+    const paths = this._buildFallbackPaths({ char, style, case: charCase, city, variant, fallbackCities });
+    
+    logger.log(`Manifest lists ${paths.length} candidate paths for "${char}"`);
+    
+    if (paths.length > 0) {
+      logger.log(`Found asset: ${paths[0]}`);
+      this.stats.loaded++;
+      return paths[0];
     }
     
     // No asset found, generate SVG fallback
@@ -95,101 +408,84 @@ export class AssetManager {
 
   /**
    * Build fallback path chain according to asset structure.
+   * Cities are tried in order: `city`, then each of `fallbackCities`.
+   * Only paths listed in the manifest are returned, best match first.
    */
-  _buildFallbackPaths({ char, style, case: charCase, city, variant }) {
-    const paths = [];
-    const paddedVariant = variant.padStart(2, '0');
+  _buildFallbackPaths({ char, style, case: charCase, city, variant, fallbackCities = cityFallbacks }) {
+    const folders = this._candidateFolders({ char, style, case: charCase, city, fallbackCities });
+    return folders.flatMap(folder => this._variantPaths(folder, variant));
+  }
+
+  /**
+   * List the folders that may hold photos of a glyph, best match first,
+   * whether or not the manifest has them.
+   */
+  _candidateFolders({ char, style, case: charCase, city, fallbackCities = cityFallbacks }) {
+    const cityChain = [...new Set([city, ...fallbackCities])];
+    const folders = [];
     
     // Determine asset type
     if (/^[a-zA-Z]$/.test(char)) {
       // Letter paths
       const letter = char.toUpperCase();
-      const styleCase = `${style}-${charCase}`;
+      const styleCases = getStyleFolders(style).map(folder => `${folder}-${charCase}`);
       
-      // Primary path: assets/Alphabet/cities/NYC/Alphabet/A/sans-upper/01.jpg
-      paths.push(`assets/Alphabet/cities/${city}/Alphabet/${letter}/${styleCase}/${paddedVariant}.jpg`);
-      
-      // City fallback: assets/Alphabet/cities/NYC/fallback/sans-upper/01.jpg
-      paths.push(`assets/Alphabet/cities/${city}/fallback/${styleCase}/${paddedVariant}.jpg`);
-      
-      // Try other variants in the same style
-      for (let i = 1; i <= 5; i++) {
-        if (i.toString().padStart(2, '0') !== paddedVariant) {
-          const altVariant = i.toString().padStart(2, '0');
-          paths.push(`assets/Alphabet/cities/${city}/Alphabet/${letter}/${styleCase}/${altVariant}.jpg`);
+      for (const cityCode of cityChain) {
+        // Primary folders: assets/Alphabet/cities/NYC/Alphabet/A/sans-upper
+        for (const styleCase of styleCases) {
+          folders.push(`assets/Alphabet/cities/${cityCode}/Alphabet/${letter}/${styleCase}`);
+        }
+        
+        // City fallback: assets/Alphabet/cities/NYC/fallback/sans-upper
+        for (const styleCase of styleCases) {
+          folders.push(`assets/Alphabet/cities/${cityCode}/fallback/${styleCase}`);
         }
       }
       
     } else if (/^[0-9]$/.test(char)) {
-      // Number paths
-      paths.push(`assets/Numbers/${char}/${paddedVariant}.jpg`);
-      
-      // Try other variants
-      for (let i = 1; i <= 5; i++) {
-        if (i.toString().padStart(2, '0') !== paddedVariant) {
-          const altVariant = i.toString().padStart(2, '0');
-          paths.push(`assets/Numbers/${char}/${altVariant}.jpg`);
-        }
+      // Number paths: city-scoped first, then the shared set
+      for (const cityCode of cityChain) {
+        folders.push(...this._styledFolders(`assets/Alphabet/cities/${cityCode}/Numbers/${char}`, style));
       }
+      folders.push(...this._styledFolders(`assets/Numbers/${char}`, style));
       
     } else {
-      // Symbol paths
+      // Symbol paths: city-scoped first, then the shared set
       const symbolName = this._mapSymbolToFolderName(char);
-      paths.push(`assets/Symbols/${symbolName}/${paddedVariant}.jpg`);
-      
-      // Try other variants
-      for (let i = 1; i <= 5; i++) {
-        if (i.toString().padStart(2, '0') !== paddedVariant) {
-          const altVariant = i.toString().padStart(2, '0');
-          paths.push(`assets/Symbols/${symbolName}/${altVariant}.jpg`);
-        }
+      for (const cityCode of cityChain) {
+        folders.push(...this._styledFolders(`assets/Alphabet/cities/${cityCode}/Symbols/${symbolName}`, style));
       }
+      folders.push(...this._styledFolders(`assets/Symbols/${symbolName}`, style));
     }
     
-    // Global fallback
-    paths.push('assets/missing.png');
+    return folders;
+  }
+
+  /**
+   * A numeral or symbol folder's style subfolders for `style`, then the folder itself.
+   */
+  _styledFolders(folder, style) {
+    const styleFolders = style ? getStyleFolders(style) : [];
+    return [...styleFolders.map(styleFolder => `${folder}/${styleFolder}`), folder];
+  }
+
+  /**
+   * List the manifest files in a folder, requested variant first, then the others.
+   */
+  _variantPaths(folder, variant) {
+    const files = this.manifestIndex.get(folder) || [];
+    const paddedVariant = variant.padStart(2, '0');
+    const preferred = files.filter(file => file.replace(/\.[^.]+$/, '') === paddedVariant);
+    const others = files.filter(file => !preferred.includes(file));
     
-    return paths;
+    return [...preferred, ...others].map(file => `${folder}/${file}`);
   }
 
   /**
    * Map symbols to their folder names.
    */
   _mapSymbolToFolderName(symbol) {
-    const symbolMap = {
-      '!': 'exclamation',
-      '?': 'question',
-      '.': 'period',
-      ',': 'comma',
-      ':': 'colon',
-      ';': 'semicolon',
-      '"': 'quote',
-      "'": 'apostrophe',
-      '(': 'parenthesis-open',
-      ')': 'parenthesis-close',
-      '[': 'bracket-open',
-      ']': 'bracket-close',
-      '{': 'brace-open',
-      '}': 'brace-close',
-      '<': 'angle-open',
-      '>': 'angle-close',
-      '+': 'plus',
-      '-': 'minus',
-      '*': 'asterisk',
-      '/': 'slash',
-      '\\': 'backslash',
-      '|': 'vertical-bar',
-      '=': 'equals',
-      '@': 'at',
-      '#': 'hash',
-      '$': 'dollar',
-      '%': 'percent',
-      '^': 'caret',
-      '&': 'ampersand',
-      '_': 'underscore'
-    };
-    
-    return symbolMap[symbol] || 'symbol';
+    return SYMBOL_FOLDERS[symbol] || 'symbol';
   }
 
   /**
@@ -199,7 +495,9 @@ export class AssetManager {
     return {
       ...this.stats,
       cacheSize: this.cache.size,
-      pendingLoads: this.loadingPromises.size
+      lookups: this.cache.getStats(),
+      pendingLoads: this.loadingPromises.size,
+      manifestVersion: this.manifest?.version || null
     };
   }
 
@@ -0,0 +1,279 @@
+// Composition settings and layout shared by the p5 renderer and the headless CLI.
+// No p5 or DOM here: photos only need a width and height, plus RGBA `pixels`
+// (after an optional `loadPixels()`, as on p5 images) for optical kerning.
+import { createLogger, generateFallbackLetterSVG } from './utils.js';
+import { cacheBudget, canvasFormats, debug, defaults, getScaleMetrics, getTheme, typeScale } from './config.js';
+import { fitSize, layout } from './layout.js';
+import { defaultMetrics, normalizeMetrics, placeGlyph } from './glyphMetrics.js';
+import { inkProfile, opticalKerning, pairKerning } from './kerning.js';
+import { DEFAULT_PROCESSING, processingKey } from './imageProcessing.js';
+import { LRUCache } from './lruCache.js';
+
+const logger = createLogger('Composition', debug.enabled);
+
+/**
+ * Composition holds what decides where glyphs go on a poster (type scale,
+ * format, alignment, tracking, kerning, photo treatment and theme) and lays
+ * letter objects out with it. VisualRenderer draws its layouts with p5;
+ * scripts/streettype.js renders them to files.
+ */
+export class Composition {
+  constructor() {
+    // Type scale settings; letterWidth, letterHeight, spacing, line height and
+    // paddings are derived from them (see config.getScaleMetrics)
+    this.typeSize = defaults.fontSize;
+    this.lineHeightRatio = defaults.lineHeight;
+    this.paddingRatio = defaults.padding;
+    this.fitToCanvas = defaults.fitToCanvas;
+    this._applyScale(this.typeSize);
+    this.canvasFormat = defaults.canvasFormat;
+    this.textAlign = defaults.textAlign;
+    this.verticalAlign = defaults.verticalAlign;
+    
+    // Horizontal spacing on top of the size preset's letterSpacing
+    this.tracking = defaults.tracking;
+    this.opticalKerning = defaults.opticalKerning;
+    this.kerningTables = {};
+    this.inkProfiles = new LRUCache({ capacity: cacheBudget.inkProfiles });
+    
+    // Photo treatment (levels, tone, knockout)
+    this.processing = { ...DEFAULT_PROCESSING };
+    
+    // Theme: page background, photo tint and blend mode, fallback palette (see config.themes)
+    this.themeName = defaults.theme;
+    this.theme = getTheme(this.themeName);
+  }
+
+  /**
+   * Set the type scale: size is the cap height in px, lineHeight and padding
+   * are multiples of it. With fit, the size is instead the largest at which
+   * the text fits the poster format. Omitted settings are kept.
+   */
+  setTypeScale({ size = this.typeSize, lineHeight = this.lineHeightRatio, padding = this.paddingRatio, fit = this.fitToCanvas } = {}) {
+    this.typeSize = size;
+    this.lineHeightRatio = lineHeight;
+    this.paddingRatio = padding;
+    this.fitToCanvas = fit;
+    this._applyScale(size);
+  }
+
+  /**
+   * Switch poster format (a config.canvasFormats key).
+   * @returns {boolean} false, keeping the current format, for unknown formats
+   */
+  setCanvasFormat(format) {
+    if (!canvasFormats[format]) {
+      logger.warn(`Unknown canvas format: ${format}`);
+      return false;
+    }
+    this.canvasFormat = format;
+    return true;
+  }
+
+  /**
+   * Set horizontal line alignment ('left', 'center', 'right', 'justify') and
+   * vertical block alignment within the poster format ('top', 'middle', 'bottom').
+   */
+  setAlignment({ align = this.textAlign, verticalAlign = this.verticalAlign } = {}) {
+    this.textAlign = align;
+    this.verticalAlign = verticalAlign;
+  }
+
+  /**
+   * Set tracking: extra px between glyphs on top of the size preset's spacing.
+   */
+  setTracking(px) {
+    this.tracking = px;
+  }
+
+  /**
+   * Turn optical kerning between photo glyphs on or off.
+   */
+  setOpticalKerning(enabled) {
+    this.opticalKerning = enabled;
+  }
+
+  /**
+   * Set the manual kerning pair tables, keyed by city code (em per pair).
+   */
+  setKerningTables(tables) {
+    this.kerningTables = tables || {};
+  }
+
+  /**
+   * Set the photo treatment (see imageProcessing.DEFAULT_PROCESSING).
+   */
+  setProcessing(settings) {
+    this.processing = { ...DEFAULT_PROCESSING, ...settings };
+  }
+
+  /**
+   * Switch to a theme from config.themes (unknown names use the default theme).
+   */
+  setTheme(name) {
+    this.themeName = name;
+    this.theme = getTheme(name);
+  }
+
+  /**
+   * Regenerate an SVG fallback letter in the current theme's palette. Letter
+   * selection always draws fallbacks in the default theme.
+   */
+  themeFallback(lt) {
+    if (lt.type !== 'letter' || !lt.url?.startsWith('data:image/svg+xml')) return lt;
+    
+    const url = generateFallbackLetterSVG(lt.value, lt.style, this.theme.palette);
+    return url === lt.url ? lt : { ...lt, url, svgImg: null, svgImgLoading: false };
+  }
+
+  /**
+   * Position every glyph for a canvas width using the layout engine.
+   * The p5 draw loop, the exporters and the CLI all use this, so they always agree.
+   * Each item has the glyph's layout cell and the box it is drawn into; photo
+   * items also have the crop rectangle of the photo to draw.
+   * In fit-to-canvas mode the type size is first set to the largest that fits the format.
+   * @returns {{ items: Array, height: number }} Items and the canvas height needed
+   */
+  layoutLetters(letters, width) {
+    if (this.fitToCanvas) {
+      const size = fitSize(candidate => {
+        this._applyScale(candidate);
+        return this._layoutBoxes(letters, width).height;
+      }, { ...typeScale.size, frameHeight: this.formatHeight(width) });
+      this._applyScale(size);
+    } else {
+      this._applyScale(this.typeSize);
+    }
+    
+    const { boxes, height } = this._layoutBoxes(letters, width);
+
+    const items = boxes.map(({ index, letter: lt, x, y, width: glyphWidth, height: glyphHeight }) => {
+      const cell = { x, y, w: this.letterWidth, h: this.letterHeight };
+      
+      if (lt.type === 'letter' && lt.img) {
+        const { crop } = this._measurePhotoGlyph(lt);
+        return { index, letter: lt, kind: 'image', cell, box: { x, y, w: glyphWidth, h: glyphHeight }, crop };
+      }
+      
+      if (lt.type === 'letter' && lt.url && lt.url.startsWith('data:image/svg+xml')) {
+        const box = {
+          x: x + (this.letterWidth - this.letterWidth * 0.8) / 2,
+          y,
+          w: this.letterWidth * 0.8,
+          h: this.letterHeight
+        };
+        return { index, letter: lt, kind: 'svg', cell, box };
+      }
+      
+      return { index, letter: lt, kind: 'text', cell, box: { ...cell } };
+    });
+
+    return { items, height };
+  }
+
+  /**
+   * Set the layout measurements for a type size from the current scale settings.
+   */
+  _applyScale(size) {
+    Object.assign(this, getScaleMetrics({ size, lineHeight: this.lineHeightRatio, padding: this.paddingRatio }));
+  }
+
+  /**
+   * Font size for text fallback glyphs, in proportion to the type size.
+   */
+  fallbackTextSize() {
+    return Math.round(this.letterHeight * 0.6);
+  }
+
+  /**
+   * Run the layout engine with the current measurements.
+   */
+  _layoutBoxes(letters, width) {
+    return layout(letters, {
+      width,
+      letterWidth: this.letterWidth,
+      letterHeight: this.letterHeight,
+      letterSpacing: this.letterSpacing + this.tracking,
+      lineHeight: this.lineHeight,
+      lineGap: 0,
+      topPadding: this.topPadding,
+      bottomPadding: this.bottomPadding,
+      sidePadding: this.sidePadding,
+      kern: (left, right, leftSize, rightSize) => this._kernPair(left, right, leftSize, rightSize),
+      align: this.textAlign,
+      verticalAlign: this.verticalAlign,
+      frameHeight: this.formatHeight(width),
+      measure: lt => (lt.type === 'letter' && lt.img
+        ? this._measurePhotoGlyph(lt)
+        : { width: this.letterWidth, height: this.letterHeight })
+    });
+  }
+
+  /**
+   * Advance adjustment between two glyphs of a word: the city's manual pair
+   * override when there is one, otherwise optical kerning between photos.
+   */
+  _kernPair(left, right, leftSize, rightSize) {
+    const pair = pairKerning(this.kerningTables, left, right);
+    if (pair !== null) {
+      return pair * this.letterHeight;
+    }
+    
+    if (!this.opticalKerning || !leftSize.crop || !rightSize.crop) return 0;
+    
+    const leftProfile = this._getInkProfile(left, leftSize.crop);
+    const rightProfile = this._getInkProfile(right, rightSize.crop);
+    if (!leftProfile || !rightProfile) return 0;
+    
+    // Knocked-out photos are transparent around the ink, so boxes may overlap
+    const spacing = this.letterSpacing + this.tracking;
+    return opticalKerning(
+      { ...leftSize, profile: leftProfile },
+      { ...rightSize, profile: rightProfile },
+      { distance: (leftSize.advance ?? leftSize.width) + spacing, targetGap: spacing, opaque: this.processing.knockout === 'off' }
+    );
+  }
+
+  /**
+   * Ink profile of a photo glyph's crop, computed once per photo, treatment and crop.
+   * Null when the photo's pixels can't be read.
+   */
+  _getInkProfile(lt, crop) {
+    const key = `${lt.url}|${processingKey(this.processing)}|${crop.x},${crop.y},${crop.w},${crop.h}`;
+    if (!this.inkProfiles.has(key)) {
+      let profile = null;
+      try {
+        lt.img.loadPixels?.();
+        if (lt.img.pixels) {
+          profile = inkProfile({ data: lt.img.pixels, width: lt.img.width, height: lt.img.height }, crop);
+        }
+      } catch (error) {
+        logger.warn(`Could not read pixels of ${lt.url} for kerning:`, error);
+      }
+      this.inkProfiles.set(key, profile);
+    }
+    return this.inkProfiles.get(key);
+  }
+
+  /**
+   * Get the canvas height that gives the poster format's proportions at a width.
+   */
+  formatHeight(width) {
+    const formatConfig = canvasFormats[this.canvasFormat];
+    return formatConfig ? Math.round(width / formatConfig.aspectRatio) : 500;
+  }
+
+  /**
+   * Size a loaded photo glyph from its metrics (or the defaults for its character),
+   * with the cap height at the current letter height.
+   */
+  _measurePhotoGlyph(lt) {
+    const metrics = lt.metrics ? normalizeMetrics(lt.metrics, lt.value) : defaultMetrics(lt.value);
+    return placeGlyph(metrics, {
+      imageWidth: lt.img.width,
+      imageHeight: lt.img.height,
+      capHeight: this.letterHeight,
+      char: lt.value
+    });
+  }
+}
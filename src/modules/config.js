@@ -1,49 +1,232 @@
 // Central configuration for the StreetType application
 
+// Known city packs, used until the asset manifest lists the packs on disk
 export const cities = ['NYC'];
 
-export const fontStyles = [
-  { value: 'sans', label: 'Sans' },
-  { value: 'serif', label: 'Serif' },
-  { value: 'mono', label: 'Monospace' },
-  { value: 'script', label: 'Script' },
-  { value: 'decorative', label: 'Decorative' }
+// Relative weight of each city pack in the "Mixed Cities" location.
+// Packs not listed here weigh 1.
+export const mixedCityWeights = {};
+
+// Cities tried, in order, when the selected city has no photo for a glyph
+// (e.g. Chicago → NYC → SVG fallback)
+export const cityFallbacks = ['NYC'];
+
+// Style registry: each UI style maps to the on-disk folder prefixes that hold
+// its photos (assets/.../<LETTER>/<folder>-<case>), tried in order.
+// `similar` lists the styles to borrow a photo from, closest first, when the
+// style has none for a glyph (see styleFallbackPolicies).
+// Array order is the order styles appear in the Font Style dropdown.
+export const styleRegistry = [
+  { value: 'sans', label: 'Sans', folders: ['sans'], primary: true, similar: ['serif'] },
+  { value: 'serif', label: 'Serif', folders: ['serif'], primary: true, similar: ['sans'] },
+  { value: 'mono', label: 'Monospace', folders: ['mono'], similar: ['sans', 'serif'] },
+  { value: 'script', label: 'Script', folders: ['Script:Handwriting', 'script'], similar: ['decorative', 'serif', 'sans'] },
+  { value: 'decorative', label: 'Decorative', folders: ['Display:Decorative', 'decorative'], similar: ['script', 'serif', 'sans'] }
+];
+
+// What to draw when the chosen style has no photo for a letter:
+//   closest  a photo from the nearest style that has one (styleRegistry `similar`)
+//   svg      a drawn fallback letter in the chosen style
+export const styleFallbackPolicies = [
+  { value: 'closest', label: 'Closest Style With a Photo' },
+  { value: 'svg', label: 'Drawn Letter' }
 ];
 
-export const fontSizes = {
-  small: { height: 60, spacing: 10 },
-  medium: { height: 100, spacing: 15 },
-  large: { height: 140, spacing: 20 }
+export const fontStyles = styleRegistry.map(({ value, label }) => ({ value, label }));
+
+/**
+ * Get the folder prefixes for a UI style. Unknown styles map to themselves.
+ */
+export function getStyleFolders(style) {
+  const entry = styleRegistry.find(s => s.value === style);
+  return entry ? entry.folders : [style];
+}
+
+/**
+ * Get the styles to borrow photos from when a style has none, closest first.
+ */
+export function getSimilarStyles(style) {
+  return styleRegistry.find(s => s.value === style)?.similar || [];
+}
+
+/**
+ * Get the UI style for an on-disk folder prefix, or null if none claims it.
+ */
+export function getStyleForFolder(folder) {
+  const entry = styleRegistry.find(s => s.folders.includes(folder));
+  return entry ? entry.value : null;
+}
+
+// Type scale: every layout measurement derives from the type size (cap height in px)
+export const typeScale = {
+  size: { min: 20, max: 240, step: 2, default: 60 },
+  lineHeight: { min: 1, max: 3, step: 0.05, default: 1.2 },   // × size, line top to line top
+  padding: { min: 0, max: 2, step: 0.05, default: 0.5 },      // × size, around the text block
+  widthRatio: 2 / 3,    // fallback glyph width × size
+  spacingRatio: 1 / 12, // gap between glyphs × size
+  // Sizes of the old SMALL/MEDIUM/LARGE toggle, for links made before the sliders
+  legacySizes: { small: 60, medium: 90, large: 120 }
 };
 
-// Color schemes for different font styles
-export const styleColors = {
-  sans: [100, 100, 180],      // Blue-ish
-  serif: [180, 100, 100],     // Red-ish
-  mono: [100, 180, 100],      // Green-ish
-  script: [180, 180, 100],    // Yellow-ish
-  decorative: [180, 100, 180], // Purple-ish
-  default: [150, 150, 150]    // Gray for unknown styles
+/**
+ * Derive the renderer's layout measurements from the type scale settings.
+ * @param {Object} settings - { size, lineHeight, padding } (lineHeight and padding × size)
+ * @returns {Object} { letterWidth, letterHeight, letterSpacing, lineHeight, topPadding, bottomPadding, sidePadding }
+ */
+export function getScaleMetrics({ size, lineHeight = typeScale.lineHeight.default, padding = typeScale.padding.default }) {
+  return {
+    letterWidth: Math.round(size * typeScale.widthRatio),
+    letterHeight: size,
+    letterSpacing: Math.round(size * typeScale.spacingRatio),
+    lineHeight: Math.round(size * lineHeight),
+    topPadding: Math.round(size * padding),
+    bottomPadding: Math.round(size * padding),
+    sidePadding: Math.round(size * padding)
+  };
+}
+
+// Themes: the page background (a color, optionally with a texture over it), how
+// photos are tinted and blended onto the page, and the fallback glyph palette.
+//   texture    null, { type: 'grid', color, opacity, spacing } or { type: 'grain', color, opacity, density }
+//   tint       null or a color photos are multiplied by
+//   blendMode  'normal', 'multiply' or 'screen' (canvas composite / CSS mix-blend-mode names)
+//   palette    fallback colors ({ fill, background, stroke }) keyed by base style,
+//              plus 'number' and 'symbol' for those characters and 'default'
+export const themes = {
+  paper: {
+    label: 'Paper',
+    background: '#ffffff',
+    texture: null,
+    tint: null,
+    blendMode: 'normal',
+    palette: {
+      sans: { fill: '#3a7ca5', background: '#f0f8ff', stroke: '#2a5a7a' },
+      serif: { fill: '#d63030', background: '#fff0f0', stroke: '#a02020' },
+      mono: { fill: '#2d882d', background: '#f0fff0', stroke: '#1d681d' },
+      script: { fill: '#aa7c39', background: '#fff8e6', stroke: '#8a5c19' },
+      decorative: { fill: '#9933cc', background: '#f8f0ff', stroke: '#7922aa' },
+      number: { fill: '#6a5acd', background: '#f5f0ff', stroke: '#483d8b' },
+      symbol: { fill: '#ff8c00', background: '#fff8f0', stroke: '#cc7000' },
+      default: { fill: '#333333', background: '#f0f0f0', stroke: '#cccccc' }
+    }
+  },
+  newsprint: {
+    label: 'Newsprint',
+    background: '#f1ece0',
+    texture: { type: 'grain', color: '#3b3428', opacity: 0.08, density: 0.004 },
+    tint: null,
+    // White photo backgrounds drop out against the paper
+    blendMode: 'multiply',
+    palette: {
+      sans: { fill: '#2b2b2b', background: '#e6e0d2', stroke: '#8c8578' },
+      serif: { fill: '#7a2418', background: '#ebe1d0', stroke: '#8c8578' },
+      number: { fill: '#1f3a5a', background: '#e3ded2', stroke: '#8c8578' },
+      symbol: { fill: '#7a5a18', background: '#ebe3cf', stroke: '#8c8578' },
+      default: { fill: '#3b3428', background: '#e9e3d6', stroke: '#8c8578' }
+    }
+  },
+  blueprint: {
+    label: 'Blueprint',
+    background: '#1d3f72',
+    texture: { type: 'grid', color: '#ffffff', opacity: 0.15, spacing: 24 },
+    tint: '#cfe0ff',
+    blendMode: 'normal',
+    palette: {
+      number: { fill: '#ffe9a8', background: '#25497f', stroke: '#8fb0e0' },
+      symbol: { fill: '#ffc2a8', background: '#25497f', stroke: '#8fb0e0' },
+      default: { fill: '#ffffff', background: '#25497f', stroke: '#8fb0e0' }
+    }
+  },
+  night: {
+    label: 'Night',
+    background: '#121218',
+    texture: null,
+    tint: null,
+    // Dark photo backgrounds drop out against the page
+    blendMode: 'screen',
+    palette: {
+      sans: { fill: '#7cc4f0', background: '#1c2430', stroke: '#34465c' },
+      serif: { fill: '#f07c7c', background: '#2a1c1e', stroke: '#5c3438' },
+      mono: { fill: '#7cf09a', background: '#1c2a20', stroke: '#345c40' },
+      script: { fill: '#f0c87c', background: '#2a251c', stroke: '#5c4e34' },
+      decorative: { fill: '#c88cf0', background: '#251c2a', stroke: '#4e345c' },
+      number: { fill: '#a89cf5', background: '#201c2e', stroke: '#3f3860' },
+      symbol: { fill: '#ffae4a', background: '#2e241a', stroke: '#5c4530' },
+      default: { fill: '#d8d8e0', background: '#1e1e26', stroke: '#3a3a48' }
+    }
+  }
 };
 
-// Canvas formats
+/**
+ * Get a theme by name, falling back to the default theme.
+ */
+export function getTheme(name) {
+  return themes[name] || themes[defaults.theme];
+}
+
+/**
+ * Fallback glyph colors for a character in a style: numbers and symbols use
+ * their own palette entries, letters their base style's ('sans-upper' → 'sans').
+ * @param {Object} palette - A theme palette
+ * @param {string} char - The character
+ * @param {string} style - Full or base style name
+ * @returns {{ fill: string, background: string, stroke: string }}
+ */
+export function getFallbackColors(palette, char, style) {
+  if (/^[0-9]$/.test(char) && palette.number) return palette.number;
+  if (/^[^\p{L}\p{N}\s]$/u.test(char) && palette.symbol) return palette.symbol;
+  const baseStyle = (style || '').split('-')[0];
+  return palette[baseStyle] || palette.default;
+}
+
+// Canvas formats: poster trim size in inches, on-screen aspect ratio and container class
 export const canvasFormats = {
-  '24x36': { aspectRatio: 2/3, className: 'canvas-24x36' },
-  '16x24': { aspectRatio: 2/3, className: 'canvas-16x24' },
-  '11x17': { aspectRatio: 11/17, className: 'canvas-11x17' },
-  '8.5x11': { aspectRatio: 8.5/11, className: 'canvas-8\\.5x11' },
-  '6x9': { aspectRatio: 2/3, className: 'canvas-6x9' },
-  '4x4': { aspectRatio: 1/1, className: 'canvas-4x4' }
+  '24x36': { label: '24 × 36 in', widthIn: 24, heightIn: 36, aspectRatio: 2/3, className: 'canvas-24x36' },
+  '16x24': { label: '16 × 24 in', widthIn: 16, heightIn: 24, aspectRatio: 2/3, className: 'canvas-16x24' },
+  '11x17': { label: '11 × 17 in', widthIn: 11, heightIn: 17, aspectRatio: 11/17, className: 'canvas-11x17' },
+  '8.5x11': { label: '8.5 × 11 in', widthIn: 8.5, heightIn: 11, aspectRatio: 8.5/11, className: 'canvas-8.5x11' },
+  '6x9': { label: '6 × 9 in', widthIn: 6, heightIn: 9, aspectRatio: 2/3, className: 'canvas-6x9' },
+  '4x4': { label: '4 × 4 in', widthIn: 4, heightIn: 4, aspectRatio: 1/1, className: 'canvas-4x4' }
+};
+
+// Memory budgets for long sessions (see lruCache.js). Photos are kept as
+// thumbnails at the size they are drawn times the pixel density and
+// `oversample`, in power-of-two heights from `minThumbnailHeight`.
+export const cacheBudget = {
+  imageBytes: 128 * 1024 * 1024,  // decoded thumbnails and treated photos
+  lookupBytes: 4 * 1024 * 1024,   // resolved asset URLs (SVG fallbacks are data URLs)
+  inkProfiles: 2000,              // entries
+  oversample: 1.25,
+  minThumbnailHeight: 64
+};
+
+// Print export settings (bleed and safe margin in inches)
+export const printOptions = {
+  dpiOptions: [150, 300],
+  defaultDpi: 300,
+  bleed: 0.125,
+  safeMargin: 0.25,
+  // Largest offscreen canvas we ask the browser for; DPI is lowered to fit
+  maxPixels: 100000000
 };
 
 // Default settings
 export const defaults = {
   city: 'NYC',
   fontStyle: 'sans',
-  fontSize: 'small',
+  fontSize: typeScale.size.default,
+  lineHeight: typeScale.lineHeight.default,
+  padding: typeScale.padding.default,
+  fitToCanvas: false,
   canvasFormat: '16x24',
   text: 'Type something...',
-  caseOption: 'mixed'
+  caseOption: 'mixed',
+  textAlign: 'left',
+  verticalAlign: 'top',
+  tracking: 0,
+  opticalKerning: true,
+  styleFallback: 'closest',
+  theme: 'paper'
 };
 
 // Debug settings
@@ -0,0 +1,71 @@
+// Asset coverage report formatting: gap summaries and CSV/JSON exports.
+// Reports come from AssetManager.getCoverageReport.
+import { styleRegistry } from './config.js';
+
+const KIND_LABELS = {
+  number: 'numerals',
+  symbol: 'symbols'
+};
+
+/**
+ * Human-readable name of a report column, e.g. "Script uppercase" or "Serif numerals".
+ */
+export function columnLabel({ kind, style, case: charCase }) {
+  const styleLabel = styleRegistry.find(s => s.value === style)?.label || style;
+  if (kind !== 'letter') return `${styleLabel} ${KIND_LABELS[kind] || kind}`;
+  return `${styleLabel} ${charCase === 'upper' ? 'uppercase' : 'lowercase'}`;
+}
+
+/**
+ * Describe every column the city hasn't fully shot, fewest photos first,
+ * e.g. "only 2 of 26 Script uppercase" or "no Monospace lowercase".
+ * @param {Object} report - Coverage report
+ * @returns {string[]}
+ */
+export function describeGaps(report) {
+  return report.columns
+    .filter(column => column.covered < column.total)
+    .sort((a, b) => a.covered / a.total - b.covered / b.total)
+    .map(column => (column.covered === 0
+      ? `no ${columnLabel(column)}`
+      : `only ${column.covered} of ${column.total} ${columnLabel(column)}`));
+}
+
+/**
+ * Quote a CSV cell. Cells a spreadsheet would read as a formula (symbols
+ * such as "=" and "+") get a leading apostrophe, so they show as text.
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export a coverage report as CSV, one row per glyph.
+ * @param {Object} report - Coverage report
+ * @returns {string}
+ */
+export function coverageToCSV(report) {
+  const header = ['city', 'char', 'kind', 'style', 'case', 'variants', 'status', 'folder'];
+  const rows = report.cells.map(cell => [
+    report.city,
+    cell.char,
+    cell.kind,
+    cell.style,
+    cell.case,
+    cell.variants,
+    cell.variants === 0 ? 'missing' : cell.borrowed ? 'borrowed' : 'ok',
+    cell.folder
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Export a coverage report as JSON, with the gap summary alongside the cells.
+ * @param {Object} report - Coverage report
+ * @returns {string}
+ */
+export function coverageToJSON(report) {
+  return JSON.stringify({ ...report, gaps: describeGaps(report) }, null, 2) + '\n';
+}
@@ -0,0 +1,138 @@
+// Per-glyph metrics: where the letter sits in its photo and how it sits on the line.
+//
+// Metrics live in a sidecar JSON next to each photo (XX.jpg → XX.json) and are
+// compiled into the manifest by scripts/build-manifest.js:
+//   {
+//     "crop":     { "x": 0.1, "y": 0.05, "w": 0.8, "h": 0.9 },  fraction of the photo
+//     "baseline": 0.8,    fraction of the crop height, from the crop top
+//     "xHeight":  0.45,   fraction of the crop height, from the baseline up (optional)
+//     "advance":  1.1     advance width as a multiple of the drawn crop width
+//   }
+// Every field is optional; missing ones take the defaults below.
+
+/**
+ * Height of lowercase x-height letters relative to the cap height.
+ */
+export const X_HEIGHT_RATIO = 0.65;
+
+// Lowercase letters whose body stops at the x-height
+const X_HEIGHT_CHARS = /^[acegmnopqrsuvwxyz]$/;
+
+// Letters that hang below the baseline
+const DESCENDER_CHARS = /^[gjpqy]$/;
+
+// Where the baseline sits in an uncropped photo of a descender letter
+const DEFAULT_DESCENDER_BASELINE = 0.75;
+
+function fraction(value, fallback, max = 1) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max ? value : fallback;
+}
+
+/**
+ * Sidecar path for a photo: same folder and name, .json extension.
+ */
+export function metricsPathFor(imagePath) {
+  return imagePath.replace(/\.[^./]+$/, '.json');
+}
+
+/**
+ * Metrics for a photo without a sidecar: the whole photo, sitting on its
+ * bottom edge (a little higher for descender letters).
+ */
+export function defaultMetrics(char = '') {
+  return {
+    crop: { x: 0, y: 0, w: 1, h: 1 },
+    baseline: DESCENDER_CHARS.test(char) ? DEFAULT_DESCENDER_BASELINE : 1,
+    xHeight: null,
+    advance: 1
+  };
+}
+
+/**
+ * Validate raw sidecar metrics, filling anything missing or out of range
+ * with the defaults for `char`.
+ * @param {Object|null} raw - Parsed sidecar JSON
+ * @param {string} char - The glyph's character
+ * @returns {Object} { crop, baseline, xHeight, advance }
+ */
+export function normalizeMetrics(raw, char = '') {
+  const base = defaultMetrics(char);
+  if (!raw || typeof raw !== 'object') return base;
+
+  const crop = raw.crop || {};
+  const x = fraction(crop.x, 0);
+  const y = fraction(crop.y, 0);
+
+  return {
+    crop: {
+      x,
+      y,
+      w: fraction(crop.w, 1 - x, 1 - x) || 1 - x,
+      h: fraction(crop.h, 1 - y, 1 - y) || 1 - y
+    },
+    baseline: fraction(raw.baseline, base.baseline) || base.baseline,
+    xHeight: fraction(raw.xHeight, null) || null,
+    advance: fraction(raw.advance, 1, 4) || 1
+  };
+}
+
+/**
+ * Turn normalized metrics into sidecar JSON contents, rounded to 3 decimals.
+ * An unset x-height is left out.
+ */
+export function serializeMetrics(metrics) {
+  const round = n => Math.round(n * 1000) / 1000;
+  const sidecar = {
+    crop: {
+      x: round(metrics.crop.x),
+      y: round(metrics.crop.y),
+      w: round(metrics.crop.w),
+      h: round(metrics.crop.h)
+    },
+    baseline: round(metrics.baseline)
+  };
+  if (metrics.xHeight) sidecar.xHeight = round(metrics.xHeight);
+  sidecar.advance = round(metrics.advance);
+  return sidecar;
+}
+
+/**
+ * Size a photo glyph for the line. The crop is scaled so its x-height matches
+ * the line's x-height when the metrics record one; otherwise so the part above
+ * the baseline matches the cap height (or the x-height, for x-height letters).
+ * @param {Object} metrics - Normalized metrics
+ * @param {Object} params
+ * @param {number} params.imageWidth - Photo width in px
+ * @param {number} params.imageHeight - Photo height in px
+ * @param {number} params.capHeight - Target cap height in canvas px
+ * @param {string} params.char - The glyph's character
+ * @returns {{ crop: Object, width: number, height: number, ascent: number, advance: number }}
+ *   crop is the source rectangle in photo px ({ x, y, w, h, imageWidth, imageHeight });
+ *   the rest are canvas px
+ */
+export function placeGlyph(metrics, { imageWidth, imageHeight, capHeight, char = '' }) {
+  const crop = {
+    x: metrics.crop.x * imageWidth,
+    y: metrics.crop.y * imageHeight,
+    w: metrics.crop.w * imageWidth,
+    h: metrics.crop.h * imageHeight,
+    imageWidth,
+    imageHeight
+  };
+
+  const xHeight = capHeight * X_HEIGHT_RATIO;
+  const scale = metrics.xHeight
+    ? xHeight / (metrics.xHeight * crop.h)
+    : (X_HEIGHT_CHARS.test(char) ? xHeight : capHeight) / (metrics.baseline * crop.h);
+
+  const width = crop.w * scale;
+  const height = crop.h * scale;
+
+  return {
+    crop,
+    width,
+    height,
+    ascent: metrics.baseline * height,
+    advance: width * metrics.advance
+  };
+}
@@ -0,0 +1,148 @@
+// Helpers for rendering posters outside the browser (scripts/streettype.js):
+// batch files, output file names, type sizes and photo sizes read from file headers.
+import { typeScale } from './config.js';
+
+// Poster settings a batch row may set, by column name
+export const BATCH_FIELDS = ['text', 'style', 'city', 'case', 'size', 'format', 'seed', 'theme', 'align', 'output'];
+
+/**
+ * Split CSV text into rows of cells. Quoted cells may contain commas,
+ * line breaks and doubled quotes.
+ */
+function parseCSV(contents) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < contents.length; i++) {
+    const char = contents[i];
+    if (quoted) {
+      if (char === '"' && contents[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && contents[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read a batch of posters from a CSV or JSON file.
+ *
+ * JSON is an array of texts or of objects with BATCH_FIELDS. CSV either has a
+ * header row naming BATCH_FIELDS columns (one of them `text`), or no header,
+ * in which case the first column of every row is the text.
+ * Empty values are left out, so the command-line options apply instead.
+ * @param {string} contents - File contents
+ * @param {string} filename - Used to tell JSON from CSV by extension
+ * @returns {Array<Object>} Posters as { text, ...settings }
+ */
+export function parseBatch(contents, filename) {
+  let entries;
+
+  if (filename.toLowerCase().endsWith('.json')) {
+    const data = JSON.parse(contents);
+    if (!Array.isArray(data)) {
+      throw new Error(`${filename} must hold an array of texts or posters`);
+    }
+    entries = data.map(entry => (typeof entry === 'string' ? { text: entry } : entry));
+  } else {
+    const rows = parseCSV(contents);
+    const header = rows[0]?.map(name => name.trim().toLowerCase()) || [];
+    if (header.includes('text')) {
+      entries = rows.slice(1).map(cells =>
+        Object.fromEntries(header.map((name, i) => [name, cells[i]?.trim() ?? ''])));
+    } else {
+      entries = rows.map(cells => ({ text: cells[0] }));
+    }
+  }
+
+  return entries.map((entry, i) => {
+    if (typeof entry?.text !== 'string' || entry.text.trim() === '') {
+      throw new Error(`${filename}: poster ${i + 1} has no text`);
+    }
+    return Object.fromEntries(BATCH_FIELDS
+      .filter(field => entry[field] !== undefined && entry[field] !== null && entry[field] !== '')
+      .map(field => [field, String(entry[field])]));
+  });
+}
+
+/**
+ * File name for a poster of a batch: its `output` when set, otherwise its
+ * position and a slug of its text (e.g. "003-jane-doe.png").
+ */
+export function posterFilename(poster, index, extension) {
+  if (poster.output) return poster.output;
+  const slug = poster.text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'poster';
+  return `${String(index + 1).padStart(3, '0')}-${slug}.${extension}`;
+}
+
+/**
+ * Read a type size: a legacy preset name (small, medium, large) or a cap
+ * height in px within config.typeScale.size.
+ */
+export function parseTypeSize(value) {
+  const size = typeScale.legacySizes[value] ?? Number(value);
+  const { min, max } = typeScale.size;
+  if (!Number.isFinite(size) || size < min || size > max) {
+    throw new Error(`Size must be small, medium, large or ${min}–${max} px, not "${value}"`);
+  }
+  return size;
+}
+
+/**
+ * Width and height of a JPEG or PNG from its header, without decoding it.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{ width: number, height: number }|null} null for other or broken files
+ */
+export function imageSize(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // PNG: the IHDR chunk comes first
+  if (bytes.length >= 24 && view.getUint32(0) === 0x89504e47) {
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+  }
+
+  // JPEG: walk the segments to the first start-of-frame marker
+  if (bytes.length < 4 || view.getUint16(0) !== 0xffd8) return null;
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return null;
+}
@@ -0,0 +1,163 @@
+// Photo treatment for glyph images: auto-levels, grayscale/duotone and background knockout.
+// Works on raw RGBA pixel arrays, so it runs the same on p5 images, canvases and in tests.
+
+/**
+ * Processing settings that leave photos untouched.
+ *   levels        stretch each channel to the full range (auto-levels)
+ *   tone          'none', 'grayscale' or 'duotone' (dark → light colors)
+ *   knockout      'off', 'threshold' (by brightness) or 'key' (by color distance)
+ *   threshold     brightness cutoff for 'threshold' (0–255)
+ *   tolerance     color distance from the background for 'key' (0–255)
+ */
+export const DEFAULT_PROCESSING = {
+  levels: false,
+  tone: 'none',
+  duotoneDark: '#1b1b3a',
+  duotoneLight: '#f4e9d8',
+  knockout: 'off',
+  threshold: 160,
+  tolerance: 60
+};
+
+// Share of the darkest and lightest pixels ignored by auto-levels
+const LEVELS_CLIP = 0.01;
+
+function hexToRgb(hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+/**
+ * Whether settings change the photo at all.
+ */
+export function isIdentity(settings) {
+  const s = { ...DEFAULT_PROCESSING, ...settings };
+  return !s.levels && s.tone === 'none' && s.knockout === 'off';
+}
+
+/**
+ * Cache key for a set of settings: only the fields that affect the output.
+ */
+export function processingKey(settings) {
+  const s = { ...DEFAULT_PROCESSING, ...settings };
+  if (isIdentity(s)) return 'none';
+  return [
+    s.levels ? 'levels' : '',
+    s.tone === 'duotone' ? `duotone:${s.duotoneDark}:${s.duotoneLight}` : s.tone,
+    s.knockout === 'threshold' ? `threshold:${s.threshold}` : '',
+    s.knockout === 'key' ? `key:${s.tolerance}` : ''
+  ].join('|');
+}
+
+/**
+ * Average color of the four corners, taken as the photo's background.
+ */
+export function backgroundColor(data, width, height) {
+  const corners = [0, width - 1, (height - 1) * width, height * width - 1];
+  return [0, 1, 2].map(c => corners.reduce((sum, i) => sum + data[i * 4 + c], 0) / corners.length);
+}
+
+function autoLevels(data) {
+  const pixelCount = data.length / 4;
+  const clip = Math.floor(pixelCount * LEVELS_CLIP);
+
+  for (let c = 0; c < 3; c++) {
+    const histogram = new Uint32Array(256);
+    for (let i = c; i < data.length; i += 4) histogram[data[i]]++;
+
+    let low = 0;
+    for (let seen = 0; low < 255 && seen + histogram[low] <= clip; low++) seen += histogram[low];
+    let high = 255;
+    for (let seen = 0; high > 0 && seen + histogram[high] <= clip; high--) seen += histogram[high];
+    if (high <= low) continue;
+
+    const scale = 255 / (high - low);
+    for (let i = c; i < data.length; i += 4) {
+      data[i] = Math.min(255, Math.max(0, (data[i] - low) * scale));
+    }
+  }
+}
+
+function applyTone(data, { tone, duotoneDark, duotoneLight }) {
+  const dark = hexToRgb(duotoneDark);
+  const light = hexToRgb(duotoneLight);
+
+  for (let i = 0; i < data.length; i += 4) {
+    const y = luminance(data[i], data[i + 1], data[i + 2]);
+    if (tone === 'grayscale') {
+      data[i] = data[i + 1] = data[i + 2] = y;
+    } else {
+      const t = y / 255;
+      for (let c = 0; c < 3; c++) {
+        data[i + c] = dark[c] + (light[c] - dark[c]) * t;
+      }
+    }
+  }
+}
+
+function knockOut(data, background, { knockout, threshold, tolerance }) {
+  const backgroundLuminance = luminance(...background);
+  // Threshold mode clears whichever side of the cutoff the background is on
+  const lightBackground = backgroundLuminance >= threshold;
+  // Key mode fades out over the last half of the tolerance for soft edges
+  const feather = tolerance / 2;
+
+  for (let i = 0; i < data.length; i += 4) {
+    let alpha = 1;
+
+    if (knockout === 'threshold') {
+      const y = luminance(data[i], data[i + 1], data[i + 2]);
+      if (lightBackground ? y >= threshold : y < threshold) alpha = 0;
+    } else {
+      const distance = Math.hypot(
+        data[i] - background[0],
+        data[i + 1] - background[1],
+        data[i + 2] - background[2]
+      ) / Math.sqrt(3);
+      if (distance < tolerance - feather) {
+        alpha = 0;
+      } else if (distance < tolerance) {
+        alpha = (distance - (tolerance - feather)) / feather;
+      }
+    }
+
+    data[i + 3] = Math.min(data[i + 3], alpha * 255);
+  }
+}
+
+/**
+ * Height of the thumbnail to keep of a photo that has to be drawn
+ * `neededHeight` px tall: the smallest power-of-two multiple of `minHeight`
+ * that is at least that tall, and never taller than the photo itself.
+ * Rounding up keeps small size changes from creating new thumbnails.
+ */
+export function thumbnailHeight(neededHeight, originalHeight, minHeight = 64) {
+  if (!Number.isFinite(neededHeight)) return originalHeight;
+  let height = minHeight;
+  while (height < neededHeight && height < originalHeight) height *= 2;
+  return Math.min(height, originalHeight);
+}
+
+/**
+ * Process RGBA pixels in place: auto-levels, then tone, then knockout.
+ * The background for knockout is the corner color after levels and tone.
+ * @param {Uint8ClampedArray|Uint8Array} data - RGBA pixels
+ * @param {number} width - Image width in px
+ * @param {number} height - Image height in px
+ * @param {Object} settings - See DEFAULT_PROCESSING
+ * @returns {Uint8ClampedArray|Uint8Array} The same array
+ */
+export function processPixels(data, width, height, settings) {
+  const s = { ...DEFAULT_PROCESSING, ...settings };
+  if (isIdentity(s)) return data;
+
+  if (s.levels) autoLevels(data);
+  if (s.tone !== 'none') applyTone(data, s);
+  if (s.knockout !== 'off') knockOut(data, backgroundColor(data, width, height), s);
+
+  return data;
+}
@@ -0,0 +1,136 @@
+// Kerning for photo glyphs: ink profiles, optical kerning and per-city pair tables.
+// Pure functions over pixel data, so they run the same in the browser and in tests.
+
+/**
+ * Find where the ink is in (a crop of) a photo: for each horizontal band, the
+ * leftmost and rightmost pixels that differ from the background. The background
+ * color is the average of the crop's four corners; transparent pixels (e.g. a
+ * knocked-out background) never count as ink.
+ * @param {Object} image - { data, width, height } with RGBA data (ImageData or p5.Image pixels)
+ * @param {Object} crop - Source rectangle in px ({ x, y, w, h }); defaults to the whole image
+ * @param {Object} options
+ * @param {number} options.bands - Number of horizontal bands
+ * @param {number} options.threshold - Channel difference that counts as ink (0–255)
+ * @param {number} options.maxSamples - Pixels sampled per row and per band at most
+ * @returns {{ bands: number, left: Array<number|null>, right: Array<number|null> }}
+ *   Ink edges as fractions of the crop width; null for bands without ink
+ */
+export function inkProfile(image, crop = null, { bands = 24, threshold = 60, maxSamples = 64 } = {}) {
+  const { data, width } = image;
+  const area = crop || { x: 0, y: 0, w: image.width, h: image.height };
+  const x0 = Math.floor(area.x);
+  const y0 = Math.floor(area.y);
+  const w = Math.max(1, Math.floor(area.w));
+  const h = Math.max(1, Math.floor(area.h));
+
+  const pixel = (x, y) => {
+    const i = (y * width + x) * 4;
+    return [data[i], data[i + 1], data[i + 2], data[i + 3]];
+  };
+
+  const corners = [pixel(x0, y0), pixel(x0 + w - 1, y0), pixel(x0, y0 + h - 1), pixel(x0 + w - 1, y0 + h - 1)];
+  const background = [0, 1, 2].map(c => corners.reduce((sum, color) => sum + color[c], 0) / 4);
+  const isInk = (x, y) => {
+    const color = pixel(x, y);
+    return color[3] >= 128 && background.some((value, c) => Math.abs(color[c] - value) > threshold);
+  };
+
+  const columnStep = Math.max(1, w / maxSamples);
+  const profile = { bands, left: [], right: [] };
+
+  for (let band = 0; band < bands; band++) {
+    const top = y0 + Math.floor((band * h) / bands);
+    const bottom = y0 + Math.max(Math.floor(((band + 1) * h) / bands), top - y0 + 1);
+    const rowStep = Math.max(1, (bottom - top) / Math.max(1, Math.floor(maxSamples / bands)));
+    let left = null;
+    let right = null;
+
+    for (let y = top; y < bottom; y += rowStep) {
+      for (let cx = 0; cx < w; cx += columnStep) {
+        const x = x0 + Math.floor(cx);
+        if (isInk(x, Math.floor(y))) {
+          const position = (x - x0) / w;
+          left = left === null ? position : Math.min(left, position);
+          right = right === null ? position + columnStep / w : Math.max(right, position + columnStep / w);
+        }
+      }
+    }
+
+    profile.left.push(left);
+    profile.right.push(right === null ? null : Math.min(1, right));
+  }
+
+  return profile;
+}
+
+/**
+ * Ink edges of a placed glyph at a height relative to its baseline (down is
+ * positive), in px from the glyph's left edge; null where it has no ink.
+ */
+function inkAt(glyph, y) {
+  const relative = (y + glyph.ascent) / glyph.height;
+  if (relative < 0 || relative >= 1) return null;
+  const band = Math.floor(relative * glyph.profile.bands);
+  const left = glyph.profile.left[band];
+  if (left === null || left === undefined) return null;
+  return { left: left * glyph.width, right: glyph.profile.right[band] * glyph.width };
+}
+
+/**
+ * Optical kerning between two glyphs on the same baseline: the change in
+ * advance that makes the closest ink-to-ink distance equal `targetGap`.
+ *
+ * Photos are opaque rectangles, so with `opaque` the right glyph's box is
+ * never moved over ink of the left glyph at any height the box covers.
+ * @param {Object} left - { profile, width, height, ascent } of the left glyph in canvas px
+ * @param {Object} right - Same for the right glyph
+ * @param {Object} options
+ * @param {number} options.distance - Left edge to left edge distance before kerning
+ * @param {number} options.targetGap - Ink gap to aim for
+ * @param {boolean} options.opaque - Keep the right box clear of the left glyph's ink
+ * @param {number} options.samples - Heights sampled
+ * @returns {number} Advance adjustment in px (negative pulls the glyphs together)
+ */
+export function opticalKerning(left, right, { distance, targetGap, opaque = true, samples = 32 }) {
+  const top = -Math.max(left.ascent, right.ascent);
+  const bottom = Math.max(left.height - left.ascent, right.height - right.ascent);
+  let minGap = Infinity;
+  let maxLeftInk = -Infinity;
+
+  for (let i = 0; i < samples; i++) {
+    const y = top + ((i + 0.5) * (bottom - top)) / samples;
+    const leftInk = inkAt(left, y);
+    const rightInk = inkAt(right, y);
+
+    if (leftInk && rightInk) {
+      minGap = Math.min(minGap, distance + rightInk.left - leftInk.right);
+    }
+    if (leftInk && y >= -right.ascent && y < right.height - right.ascent) {
+      maxLeftInk = Math.max(maxLeftInk, leftInk.right);
+    }
+  }
+
+  // No height where both glyphs have ink: leave the pair alone
+  if (minGap === Infinity) return 0;
+
+  let adjustment = targetGap - minGap;
+  if (opaque && maxLeftInk > -Infinity) {
+    adjustment = Math.max(adjustment, maxLeftInk - distance);
+  }
+  return adjustment;
+}
+
+/**
+ * Read a manual pair override from a city's kerning table.
+ * Tables map a two-character pair (e.g. "AV") to an adjustment in em, where
+ * 1em is the cap height. Pairs only apply when both glyphs come from that city.
+ * @param {Object} tables - Kerning tables keyed by city code
+ * @param {Object} left - Left letter object
+ * @param {Object} right - Right letter object
+ * @returns {number|null} Adjustment in em, or null when there is no override
+ */
+export function pairKerning(tables, left, right) {
+  if (!left.city || left.city !== right.city) return null;
+  const value = tables?.[left.city]?.[`${left.value}${right.value}`];
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
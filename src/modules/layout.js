@@ -0,0 +1,219 @@
+// Pure layout engine for StreetType: turns letter objects into positioned boxes.
+// No p5 or DOM here, so the renderer, the exporters and tests can all share it.
+
+/**
+ * Split letter objects into runs: words (consecutive glyphs), spaces and line breaks.
+ */
+function tokenize(letters) {
+  const tokens = [];
+  let word = null;
+
+  letters.forEach((letter, index) => {
+    if (letter.type === 'space' || letter.type === 'newline') {
+      word = null;
+      tokens.push({ type: letter.type, index });
+      return;
+    }
+    if (!word) {
+      word = { type: 'word', indices: [] };
+      tokens.push(word);
+    }
+    word.indices.push(index);
+  });
+
+  return tokens;
+}
+
+/**
+ * Shift glyphs horizontally within each line for left/center/right/justify.
+ * Justified lines spread the spare width over the gaps between words; the last
+ * line of each paragraph (and single-word lines) stay left-aligned.
+ */
+function alignLines(lines, align, left, right) {
+  const available = right - left;
+
+  lines.forEach((line, i) => {
+    const spare = available - line.width;
+    if (line.boxes.length === 0 || spare <= 0) return;
+
+    if (align === 'center' || align === 'right') {
+      const shift = align === 'center' ? spare / 2 : spare;
+      line.boxes.forEach(box => { box.x += shift; });
+      return;
+    }
+
+    if (align === 'justify') {
+      const endsParagraph = i === lines.length - 1 || !lines[i + 1].wrapped;
+      if (endsParagraph) return;
+
+      // A word gap is wherever consecutive glyphs aren't adjacent letters
+      const gapCount = line.boxes.filter((box, j) => j > 0 && box.index > line.boxes[j - 1].index + 1).length;
+      if (gapCount === 0) return;
+
+      let gapsSoFar = 0;
+      line.boxes.forEach((box, j) => {
+        if (j > 0 && box.index > line.boxes[j - 1].index + 1) gapsSoFar++;
+        box.x += (spare * gapsSoFar) / gapCount;
+      });
+      line.width = available;
+    }
+  });
+}
+
+/**
+ * Lay out letters in lines, wrapping between words.
+ *
+ * Words move to the next line whole when they don't fit; a word wider than a
+ * full line starts a new line and is broken between glyphs. Spaces at the start of a wrapped line
+ * are dropped. `newline` letters always start a new line.
+ *
+ * Glyphs on a line share a baseline: each glyph's `ascent` (height above its
+ * baseline) hangs from the line's baseline, which sits at least `letterHeight`
+ * below the line top so baselines stay evenly spaced between lines.
+ *
+ * @param {Array} letters - Letter objects ({ type: 'letter'|'space'|'newline', … })
+ * @param {Object} options
+ * @param {number} options.width - Available width, including side padding
+ * @param {number} options.letterWidth - Default glyph width
+ * @param {number} options.letterHeight - Default glyph height
+ * @param {number} options.letterSpacing - Gap between glyphs
+ * @param {number} options.lineHeight - Minimum distance between line tops
+ * @param {number} options.lineGap - Extra space below a line's tallest glyph
+ * @param {number} options.topPadding - Space above the first line
+ * @param {number} options.bottomPadding - Space below the last line
+ * @param {number} options.sidePadding - Space left and right of every line
+ * @param {Function} options.measure - (letter) => { width, height, ascent?, advance? } for a glyph;
+ *   ascent defaults to the height (sitting on the bottom edge), advance to the width
+ * @param {Function} options.kern - (leftLetter, rightLetter, leftSize, rightSize) => px added to
+ *   the advance between two glyphs of the same word
+ * @param {string} options.align - 'left', 'center', 'right' or 'justify'
+ * @param {string} options.verticalAlign - 'top', 'middle' or 'bottom' within frameHeight
+ * @param {number} options.frameHeight - Height to align the block in (e.g. the poster format)
+ * @returns {{ boxes: Array, lines: Array, height: number }}
+ *   boxes: { index, letter, x, y, width, height, ascent, line } for every glyph;
+ *   lines: { y, height, ascent, width, boxes } for every line (baseline at y + ascent)
+ */
+export function layout(letters, options) {
+  const {
+    width,
+    letterWidth = 40,
+    letterHeight = 60,
+    letterSpacing = 5,
+    lineHeight = 80,
+    lineGap = 20,
+    topPadding = 60,
+    bottomPadding = 40,
+    sidePadding = 10,
+    measure = () => ({ width: letterWidth, height: letterHeight }),
+    kern = () => 0,
+    align = 'left',
+    verticalAlign = 'top',
+    frameHeight = 0
+  } = options;
+
+  const left = sidePadding;
+  const right = Math.max(width - sidePadding, left + letterWidth);
+  const boxes = [];
+  const lines = [];
+  let line = null;
+
+  const startLine = (y, wrapped) => {
+    line = { y, height: letterHeight, ascent: letterHeight, descent: 0, width: 0, boxes: [], wrapped };
+    lines.push(line);
+    return left;
+  };
+  const breakLine = (wrapped = true) => {
+    const y = line.y + Math.max(lineHeight, line.height + lineGap);
+    return startLine(y, wrapped);
+  };
+  const place = (index, size, x) => {
+    const letter = letters[index];
+    const ascent = size.ascent ?? size.height;
+    const box = { index, letter, x, y: line.y, width: size.width, height: size.height, ascent, line: lines.length - 1 };
+    boxes.push(box);
+    line.boxes.push(box);
+    line.ascent = Math.max(line.ascent, ascent);
+    line.descent = Math.max(line.descent, size.height - ascent);
+    line.height = Math.max(line.height, line.ascent + line.descent);
+    line.width = x + size.width - left;
+    return x + (size.advance ?? size.width) + letterSpacing;
+  };
+
+  let x = startLine(topPadding, false);
+
+  for (const token of tokenize(letters)) {
+    if (token.type === 'newline') {
+      x = breakLine(false);
+      continue;
+    }
+
+    if (token.type === 'space') {
+      // Spaces never force a wrap, and are dropped at the start of a wrapped line
+      if (!(line.wrapped && line.boxes.length === 0)) {
+        x += letterWidth + letterSpacing;
+      }
+      continue;
+    }
+
+    const sizes = token.indices.map(index => measure(letters[index]));
+    const kerns = token.indices.map((index, i) =>
+      (i === 0 ? 0 : kern(letters[token.indices[i - 1]], letters[index], sizes[i - 1], sizes[i]) || 0));
+    const wordWidth = sizes.reduce((sum, size, i) =>
+      sum + kerns[i] + (i === sizes.length - 1 ? size.width : (size.advance ?? size.width) + letterSpacing), 0);
+
+    // Move the whole word down if it doesn't fit on this line
+    if (x > left && x + wordWidth > right) {
+      x = breakLine();
+    }
+
+    token.indices.forEach((index, i) => {
+      x += kerns[i];
+      // Break inside words that are longer than a whole line (dropping the kerning)
+      if (x > left && x + sizes[i].width > right) {
+        x = breakLine();
+      }
+      x = place(index, sizes[i], x);
+    });
+  }
+
+  // Hang every glyph from its line's baseline
+  boxes.forEach(box => { box.y = lines[box.line].y + lines[box.line].ascent - box.ascent; });
+
+  alignLines(lines, align, left, right);
+
+  // Place the whole block inside the frame when it is shorter than the frame
+  const height = line.y + line.height + bottomPadding;
+  const spareHeight = frameHeight - height;
+  if (spareHeight > 0 && verticalAlign !== 'top') {
+    const shift = verticalAlign === 'middle' ? spareHeight / 2 : spareHeight;
+    lines.forEach(l => { l.y += shift; });
+    boxes.forEach(box => { box.y += shift; });
+  }
+
+  return { boxes, lines, height };
+}
+
+/**
+ * Find the largest size whose layout fits a frame height, by binary search
+ * over sizes from min to max in steps of `step`. Returns min when nothing fits.
+ * @param {Function} heightAt - (size) => height of the layout at that size
+ * @param {Object} options - { min, max, step, frameHeight }
+ * @returns {number}
+ */
+export function fitSize(heightAt, { min, max, step = 1, frameHeight }) {
+  let low = 0;
+  let high = Math.floor((max - min) / step);
+  let best = 0;
+
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (heightAt(min + middle * step) <= frameHeight) {
+      best = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return min + best * step;
+}
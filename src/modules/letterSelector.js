@@ -1,57 +1,114 @@
 // Letter selection and text processing for StreetType
 import { assetManager } from './assetManager.js';
-import { createLogger } from './utils.js';
-import { debug, fontStyles } from './config.js';
+import { createLogger, createSeededRandom, generateSeed } from './utils.js';
+import { debug, defaults, getSimilarStyles, mixedCityWeights, styleRegistry } from './config.js';
 
 const logger = createLogger('LetterSelector', debug.enabled);
 
 /**
  * LetterSelector converts plain text into the array that Renderer expects:
- * [{ type:'letter'|'space'|'special', value:'A', url?, style? }, … ]
+ * [{ type:'letter'|'space'|'newline', value:'A', url?, style?, city?, metrics? }, … ]
+ *
+ * Style 'random' picks a style per letter; city 'mixed' picks a city per letter.
+ * All choices come from a PRNG seeded per letter position, so the same text,
+ * options and seed always produce the same letter objects.
  */
 export class LetterSelector {
   constructor() {
     this.variants = ['01', '02', '03', '04', '05'];
-    this.availableStyles = fontStyles.map(s => s.value);
+    this.availableStyles = styleRegistry.map(s => s.value);
     // Prioritize styles that are more likely to have assets
-    this.primaryStyles = ['sans', 'serif'];
-    this.fallbackStyles = ['mono', 'script', 'decorative'];
+    this.primaryStyles = styleRegistry.filter(s => s.primary).map(s => s.value);
+    this.fallbackStyles = styleRegistry.filter(s => !s.primary).map(s => s.value);
   }
 
   /**
    * Get a random item from an array.
    */
-  _random(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+  _random(arr, rng = Math.random) {
+    return arr[Math.floor(rng() * arr.length)];
+  }
+
+  /**
+   * Create the PRNG for one letter position from the layout seed.
+   */
+  _createLetterRandom(seed, index) {
+    return createSeededRandom(`${seed}:${index}`);
   }
 
   /**
    * Get a random style with weighted preference for styles that have assets.
    */
-  _getRandomStyle() {
+  _getRandomStyle(rng = Math.random) {
     // 70% chance to pick from primary styles (sans/serif)
     // 30% chance to pick from all styles
-    const usePrimary = Math.random() < 0.7;
+    const usePrimary = rng() < 0.7;
     const stylePool = usePrimary ? this.primaryStyles : this.availableStyles;
-    return this._random(stylePool);
+    return this._random(stylePool, rng);
+  }
+
+  /**
+   * Get a random city pack, weighted by config.mixedCityWeights.
+   */
+  _getRandomCity(rng = Math.random) {
+    const codes = assetManager.getCities().map(c => c.code);
+    const weights = codes.map(code => mixedCityWeights[code] ?? 1);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    
+    let roll = rng() * total;
+    for (let i = 0; i < codes.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return codes[i];
+    }
+    return codes[codes.length - 1];
+  }
+
+  /**
+   * Find a photo for a letter in the styles closest to `style` (the registry's
+   * `similar` list), or null when none of them has one either.
+   */
+  async _borrowFromSimilarStyle(char, style, charCase, city, variant, signal) {
+    for (const similar of getSimilarStyles(style)) {
+      const url = await assetManager.get({ char: char.toUpperCase(), style: similar, case: charCase, city, variant, signal });
+      if (url.startsWith('data:image/svg+xml')) continue;
+      
+      logger.log(`No ${style} photo for "${char}", using ${similar}`);
+      return {
+        type: 'letter',
+        value: char,
+        url,
+        style: `${similar}-${charCase}`,
+        city: assetManager.getCityForPath(url) || city,
+        metrics: assetManager.getMetrics(url),
+        isFallback: false
+      };
+    }
+    return null;
   }
 
   /**
    * Build a letter object with asset URL.
+   * When no photo is found, `styleFallback` (see config.styleFallbackPolicies)
+   * decides between a photo from the closest style and an SVG fallback.
+   * Aborting `signal` rejects with an AbortError instead of falling back.
    */
-  async _buildLetterObj(char, requestedStyle, city) {
+  async _buildLetterObj(char, requestedStyle, requestedCity, rng = Math.random, { styleFallback = defaults.styleFallback, signal } = {}) {
     let style = requestedStyle;
+    let city = requestedCity;
     let attempts = 0;
     const maxAttempts = 3;
     
     // For random style, try multiple styles if assets aren't found
     while (attempts < maxAttempts) {
       if (requestedStyle === 'random') {
-        style = attempts === 0 ? this._getRandomStyle() : this._random(this.primaryStyles);
+        style = attempts === 0 ? this._getRandomStyle(rng) : this._random(this.primaryStyles, rng);
+      }
+      if (requestedCity === 'mixed') {
+        city = this._getRandomCity(rng);
       }
       
       const charCase = char === char.toUpperCase() ? 'upper' : 'lower';
-      const variant = this._random(this.variants);
+      const variant = this._random(this.variants, rng);
 
       try {
         const url = await assetManager.get({
@@ -59,7 +116,8 @@ export class LetterSelector {
           style,
           case: charCase,
           city,
-          variant
+          variant,
+          signal
         });
         
         // If we got a real asset (not SVG fallback), return it
@@ -69,6 +127,8 @@ export class LetterSelector {
             value: char,
             url,
             style: `${style}-${charCase}`,
+            city: assetManager.getCityForPath(url) || city,
+            metrics: assetManager.getMetrics(url),
             isFallback: false
           };
         }
@@ -80,16 +140,24 @@ export class LetterSelector {
           continue;
         }
         
+        // Glyphs the style has no photo for can borrow one from a similar style
+        if (styleFallback === 'closest') {
+          const borrowed = await this._borrowFromSimilarStyle(char, style, charCase, city, variant, signal);
+          if (borrowed) return borrowed;
+        }
+        
         // Accept the SVG fallback
         return {
           type: 'letter',
           value: char,
           url,
           style: `${style}-${charCase}`,
+          city,
           isFallback: true
         };
         
       } catch (error) {
+        if (signal?.aborted) throw error;
         logger.warn(`Failed to load asset for "${char}" with style "${style}":`, error);
         
         // If random style and we have attempts left, try another style
@@ -103,6 +171,7 @@ export class LetterSelector {
           type: 'letter',
           value: char,
           style: `${style}-${charCase}`,
+          city,
           isFallback: true
         };
       }
@@ -113,35 +182,106 @@ export class LetterSelector {
       type: 'letter',
       value: char,
       style: `sans-${char === char.toUpperCase() ? 'upper' : 'lower'}`,
+      city,
       isFallback: true
     };
   }
 
+  /**
+   * Move locks to the indices their characters have after an edit: locks in
+   * the unchanged text before the edit keep their index, locks after it move
+   * with the text, and locks on edited characters are dropped.
+   * @param {string[]} chars - Edited text
+   * @param {Array} previous - Letters before the edit (none: the text is unchanged)
+   * @param {Object} locked - Locked letters keyed by their index before the edit
+   * @returns {Object} Locked letters keyed by their index in `chars`
+   */
+  _shiftLocks(chars, previous, locked) {
+    if (previous.length === 0) return locked;
+    
+    let start = 0;
+    while (start < chars.length && start < previous.length && previous[start]?.value === chars[start]) {
+      start++;
+    }
+    
+    let end = 0;
+    while (end < chars.length - start && end < previous.length - start &&
+      previous[previous.length - 1 - end]?.value === chars[chars.length - 1 - end]) {
+      end++;
+    }
+    
+    const shifted = {};
+    for (const [key, letter] of Object.entries(locked)) {
+      const index = Number(key);
+      if (index < start) {
+        shifted[index] = letter;
+      } else if (index >= previous.length - end) {
+        shifted[index + chars.length - previous.length] = letter;
+      }
+    }
+    return shifted;
+  }
+
   /**
    * Convert text to array of letter objects.
    * @param {string} text - Raw user text
    * @param {string} style - Font style
-   * @param {string} city - City code
-   * @returns {Promise<Array>} Array of letter objects
+   * @param {string} city - City code, or 'mixed' for a city per letter
+   * @param {Object} options - Extra options
+   * @param {string|number} options.seed - Layout seed; a new one is generated if omitted
+   * @param {Object} options.locked - Locked letter objects keyed by index (in the
+   *   previous text when `previous` is given); reused as-is while their character is unchanged
+   * @param {Array} options.previous - Letters from the last run with the same style, city,
+   *   seed and fallback policy; unlocked letters whose character is unchanged at the same
+   *   index are kept as they are instead of being resolved again, and locks follow
+   *   their characters through the edit (see _shiftLocks)
+   * @param {string} options.styleFallback - 'closest' or 'svg' for letters the style has no photo for
+   * @param {AbortSignal} options.signal - Stops resolving letters once aborted
+   * @returns {Promise<Array>} Array of letter objects; rejects with an AbortError when aborted
    */
-  async selectLettersForText(text, style = 'sans', city = 'NYC') {
-    logger.log(`Processing text: "${text}" with style: ${style}`);
+  async selectLettersForText(text, style = 'sans', city = 'NYC', { seed = generateSeed(), locked = {}, previous = [], styleFallback, signal } = {}) {
+    signal?.throwIfAborted();
+    logger.log(`Processing text: "${text}" with style: ${style}, seed: ${seed}`);
     
     if (style === 'random') {
       logger.log('Random mix selected - will vary styles per letter');
     }
     
-    const tasks = Array.from(text).map((char, index) => {
+    const chars = Array.from(text);
+    const lockedAt = this._shiftLocks(chars, previous, locked);
+    
+    const tasks = chars.map((char, index) => {
       if (char === ' ') {
         return Promise.resolve({ type: 'space', value: ' ' });
       }
       
+      if (char === '\n') {
+        return Promise.resolve({ type: 'newline', value: '\n' });
+      }
+      
+      // Locked photos must be in the manifest (locks restored from a URL may point anywhere)
+      const lockedLetter = lockedAt[index];
+      const lockedUrlKnown = lockedLetter?.url?.startsWith('data:') || assetManager.hasAsset(lockedLetter?.url);
+      if (lockedLetter && lockedLetter.value === char && lockedUrlKnown) {
+        // Metrics come from the manifest (locks restored from a URL carry none)
+        const metrics = assetManager.getMetrics(lockedLetter.url);
+        return Promise.resolve({ ...lockedLetter, metrics, locked: true });
+      }
+      
+      // Letters are seeded by index, so an unchanged character would resolve the same way
+      const previousLetter = previous[index];
+      if (previousLetter?.type === 'letter' && previousLetter.value === char && !previousLetter.locked) {
+        return Promise.resolve(previousLetter);
+      }
+      
+      const rng = this._createLetterRandom(seed, index);
+      
       if (/[a-zA-Z0-9]/.test(char)) {
-        return this._buildLetterObj(char, style, city);
+        return this._buildLetterObj(char, style, city, rng, { styleFallback, signal });
       }
       
       // Special characters (punctuation, symbols)
-      return this._buildLetterObj(char, style, city);
+      return this._buildLetterObj(char, style, city, rng, { styleFallback, signal });
     });
 
     // Resolve all async loads in parallel
@@ -156,11 +296,94 @@ export class LetterSelector {
       logger.log('Random mix style distribution:', styleDistribution);
     }
     
+    if (city === 'mixed') {
+      const cityDistribution = {};
+      results.filter(r => r.type === 'letter').forEach(letter => {
+        cityDistribution[letter.city] = (cityDistribution[letter.city] || 0) + 1;
+      });
+      logger.log('Mixed cities distribution:', cityDistribution);
+    }
+    
     logger.log(`Generated ${results.length} letter objects`);
     
     return results;
   }
 
+  /**
+   * List the photo alternatives for a character as { style, url }, across all
+   * styles or only the given ones, without duplicates.
+   */
+  async getAlternatives(char, city, styles = this.availableStyles) {
+    const charCase = char === char.toUpperCase() ? 'upper' : 'lower';
+    const seen = new Set();
+    const alternatives = [];
+    
+    for (const style of styles) {
+      const paths = await assetManager.listPaths({ char: char.toUpperCase(), style, case: charCase, city });
+      for (const url of paths) {
+        if (seen.has(url)) continue;
+        seen.add(url);
+        alternatives.push({ style, url });
+      }
+    }
+    
+    return alternatives;
+  }
+
+  /**
+   * Rebuild the letter at one index, leaving every other letter untouched.
+   * Rebuilt letters come back locked so later regenerations keep them.
+   * @param {Array} letters - Current letter objects
+   * @param {number} index - Index of the letter to rebuild
+   * @param {Object} options - Rebuild options
+   * @param {string} options.mode - 'reroll' picks another variant in the same style,
+   *   'cycle' steps to the next variant across all styles
+   * @param {string} options.city - City code used when the letter has none
+   * @param {string} options.styleFallback - Policy when the style has no photo at all
+   * @returns {Promise<Array>} New array with only `index` replaced
+   */
+  async rebuildLetterAt(letters, index, { mode = 'reroll', city = 'NYC', rng = Math.random, styleFallback } = {}) {
+    const current = letters[index];
+    if (!current || current.type !== 'letter') {
+      return letters;
+    }
+    
+    const char = current.value;
+    const charCase = char === char.toUpperCase() ? 'upper' : 'lower';
+    const baseStyle = current.style?.split('-')[0] || 'sans';
+    const letterCity = current.city || city;
+    
+    const styles = mode === 'cycle' ? this.availableStyles : [baseStyle];
+    const alternatives = await this.getAlternatives(char, letterCity, styles);
+    let next = null;
+    
+    if (mode === 'cycle') {
+      const position = alternatives.findIndex(alt => alt.url === current.url);
+      next = alternatives[(position + 1) % alternatives.length] || null;
+    } else {
+      const others = alternatives.filter(alt => alt.url !== current.url);
+      next = others.length > 0 ? this._random(others, rng) : alternatives[0] || null;
+    }
+    
+    const rebuilt = next
+      ? {
+          type: 'letter',
+          value: char,
+          url: next.url,
+          style: `${next.style}-${charCase}`,
+          city: assetManager.getCityForPath(next.url) || letterCity,
+          metrics: assetManager.getMetrics(next.url),
+          isFallback: false
+        }
+      : await this._buildLetterObj(char, baseStyle, letterCity, rng, { styleFallback });
+    
+    logger.log(`Rebuilt letter ${index} "${char}" (${mode}):`, rebuilt.url);
+    
+    const result = [...letters];
+    result[index] = { ...rebuilt, locked: true };
+    return result;
+  }
+
   /**
    * Get available styles.
    */
@@ -0,0 +1,101 @@
+// Size-bounded least-recently-used cache, for decoded photos and asset lookups
+// that would otherwise pile up over a long session.
+
+/**
+ * Estimated memory of a decoded image (p5.Image, canvas or ImageData): 4 bytes per pixel.
+ */
+export function imageBytes(img) {
+  return (img?.width || 0) * (img?.height || 0) * 4;
+}
+
+/**
+ * LRUCache has the Map methods the caches it replaces use (get, set, has,
+ * delete, clear, size) and evicts the least recently used entries once the
+ * total size of its entries goes over `capacity`. Entries have size 1 unless
+ * `sizeOf` says otherwise, so without it the capacity is an entry count.
+ *
+ * get() counts hits and misses; has() doesn't, and neither marks an entry as used.
+ */
+export class LRUCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.capacity - Largest total size kept
+   * @param {Function} options.sizeOf - (value, key) => size of an entry, e.g. in bytes
+   */
+  constructor({ capacity = Infinity, sizeOf = () => 1 } = {}) {
+    this.capacity = capacity;
+    this.sizeOf = sizeOf;
+    this.entries = new Map();
+    this.total = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+    this.hits++;
+    // Maps keep insertion order, so re-inserting makes this the newest entry
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Add or replace an entry. Entries larger than the whole capacity aren't kept.
+   */
+  set(key, value) {
+    this.delete(key);
+    const size = this.sizeOf(value, key);
+    if (size > this.capacity) return this;
+
+    this.entries.set(key, { value, size });
+    this.total += size;
+    for (const [oldest, entry] of this.entries) {
+      if (this.total <= this.capacity) break;
+      this.entries.delete(oldest);
+      this.total -= entry.size;
+      this.evictions++;
+    }
+    return this;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.total -= entry.size;
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.total = 0;
+  }
+
+  /**
+   * @returns {{ entries, size, capacity, hits, misses, evictions }} size is the total entry size
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      size: this.total,
+      capacity: this.capacity,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions
+    };
+  }
+}
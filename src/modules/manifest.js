@@ -0,0 +1,206 @@
+// Asset manifest helpers shared by AssetManager and the manifest build script
+import { hashString } from './utils.js';
+import { metricsPathFor } from './glyphMetrics.js';
+
+/**
+ * Location of the generated manifest, relative to the app root.
+ */
+export const MANIFEST_PATH = 'assets/manifest.json';
+
+/**
+ * File extensions that count as glyph photos.
+ */
+export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+function isImageFile(name) {
+  const lower = name.toLowerCase();
+  return IMAGE_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+function pushFile(target, key, file) {
+  if (!target[key]) target[key] = [];
+  target[key].push(file);
+}
+
+function pushStyledFile(target, glyph, style, file) {
+  pushFile(target[glyph] || (target[glyph] = {}), style, file);
+}
+
+function cityEntry(manifest, city) {
+  if (!manifest.cities[city]) {
+    manifest.cities[city] = {
+      info: { name: city, coverage: '', attribution: '' },
+      kerning: {},
+      letters: {},
+      fallback: {},
+      numbers: {},
+      symbols: {},
+      styledNumbers: {},
+      styledSymbols: {}
+    };
+  }
+  return manifest.cities[city];
+}
+
+/**
+ * Keep the valid entries of a city.json kerning table: two-character pairs
+ * mapped to finite numbers (em, where 1em is the cap height).
+ */
+function readKerning(table) {
+  const kerning = {};
+  for (const [pair, value] of Object.entries(table || {})) {
+    if (Array.from(pair).length === 2 && typeof value === 'number' && Number.isFinite(value)) {
+      kerning[pair] = value;
+    }
+  }
+  return kerning;
+}
+
+/**
+ * Build a manifest from a list of file paths relative to the assets folder.
+ * Each city is a pack under Alphabet/cities/<CITY>/:
+ *   city.json                                (name, coverage, attribution, kerning)
+ *   Alphabet/<LETTER>/<STYLE>-<case>/XX.jpg
+ *   fallback/<STYLE>-<case>/XX.jpg
+ *   Numbers/<DIGIT>/XX.jpg                   (optional, city-scoped)
+ *   Symbols/<SYMBOL>/XX.jpg                  (optional, city-scoped)
+ * Global Numbers/<DIGIT>/XX.jpg and Symbols/<SYMBOL>/XX.jpg are shared by all cities.
+ * Any numeral or symbol folder, city-scoped or shared, may also hold style
+ * subfolders (e.g. Numbers/1/serif/XX.jpg); these are listed under
+ * styledNumbers / styledSymbols as { <glyph>: { <style folder>: files } }.
+ * Any photo may have an XX.json sidecar with its glyph metrics (see glyphMetrics.js);
+ * these are collected under manifest.metrics keyed by the photo's path.
+ * Paths that don't match the layout are ignored.
+ * @param {string[]} files - Relative file paths using "/" separators
+ * @param {Object} cityInfo - Parsed city.json contents keyed by city code
+ * @param {Object} metrics - Parsed sidecar contents keyed by sidecar path
+ * @returns {Object} Manifest object
+ */
+export function buildManifest(files, cityInfo = {}, metrics = {}) {
+  const manifest = { version: '', cities: {}, numbers: {}, symbols: {}, styledNumbers: {}, styledSymbols: {}, metrics: {} };
+  const included = [];
+
+  for (const [city, info] of Object.entries(cityInfo).sort(([a], [b]) => a.localeCompare(b))) {
+    const entry = cityEntry(manifest, city);
+    entry.info = {
+      name: info.name || city,
+      coverage: info.coverage || '',
+      attribution: info.attribution || ''
+    };
+    entry.kerning = readKerning(info.kerning);
+    included.push(`${city}:${JSON.stringify(entry.info)}:${JSON.stringify(entry.kerning)}`);
+  }
+
+  for (const file of [...files].sort()) {
+    const parts = file.split('/');
+    const name = parts[parts.length - 1];
+    if (!isImageFile(name)) continue;
+
+    if (parts[0] === 'Alphabet' && parts[1] === 'cities' && parts.length >= 6) {
+      const entry = cityEntry(manifest, parts[2]);
+      const section = parts[3];
+
+      if (section === 'Alphabet' && parts.length === 7) {
+        const letter = parts[4];
+        const styles = entry.letters[letter] || (entry.letters[letter] = {});
+        pushFile(styles, parts[5], name);
+      } else if (section === 'fallback' && parts.length === 6) {
+        pushFile(entry.fallback, parts[4], name);
+      } else if (section === 'Numbers' && parts.length === 6) {
+        pushFile(entry.numbers, parts[4], name);
+      } else if (section === 'Symbols' && parts.length === 6) {
+        pushFile(entry.symbols, parts[4], name);
+      } else if (section === 'Numbers' && parts.length === 7) {
+        pushStyledFile(entry.styledNumbers, parts[4], parts[5], name);
+      } else if (section === 'Symbols' && parts.length === 7) {
+        pushStyledFile(entry.styledSymbols, parts[4], parts[5], name);
+      } else {
+        continue;
+      }
+    } else if (parts[0] === 'Numbers' && parts.length === 3) {
+      pushFile(manifest.numbers, parts[1], name);
+    } else if (parts[0] === 'Symbols' && parts.length === 3) {
+      pushFile(manifest.symbols, parts[1], name);
+    } else if (parts[0] === 'Numbers' && parts.length === 4) {
+      pushStyledFile(manifest.styledNumbers, parts[1], parts[2], name);
+    } else if (parts[0] === 'Symbols' && parts.length === 4) {
+      pushStyledFile(manifest.styledSymbols, parts[1], parts[2], name);
+    } else {
+      continue;
+    }
+
+    included.push(file);
+
+    const sidecar = metrics[metricsPathFor(file)];
+    if (sidecar) {
+      manifest.metrics[file] = sidecar;
+      included.push(`${file}:${JSON.stringify(sidecar)}`);
+    }
+  }
+
+  manifest.version = hashString(included.join('\n'));
+  return manifest;
+}
+
+function styledFolders(styled, base, city, kind) {
+  return Object.entries(styled || {}).flatMap(([glyph, styles]) =>
+    Object.entries(styles).map(([style, files]) =>
+      ({ path: `${base}/${glyph}/${style}`, city, kind, glyph, folder: style, files })));
+}
+
+/**
+ * List every photo folder in a manifest with what it holds, using the same
+ * paths AssetManager builds (e.g. "assets/Numbers/1").
+ * @param {Object} manifest - Manifest produced by buildManifest
+ * @param {string} root - Assets folder prefix
+ * @returns {Array<{ path: string, city: string|null, kind: string, glyph: string|null, folder: string|null, files: string[] }>}
+ *   kind is 'letter', 'fallback', 'number' or 'symbol'; city is null for shared numerals and symbols;
+ *   folder is the style folder, or null for unstyled numerals and symbols
+ */
+export function listManifestFolders(manifest, root = 'assets') {
+  const folders = [];
+  if (!manifest) return folders;
+
+  for (const [city, entry] of Object.entries(manifest.cities || {})) {
+    const cityRoot = `${root}/Alphabet/cities/${city}`;
+    for (const [letter, styles] of Object.entries(entry.letters || {})) {
+      for (const [styleCase, files] of Object.entries(styles)) {
+        folders.push({ path: `${cityRoot}/Alphabet/${letter}/${styleCase}`, city, kind: 'letter', glyph: letter, folder: styleCase, files });
+      }
+    }
+    for (const [styleCase, files] of Object.entries(entry.fallback || {})) {
+      folders.push({ path: `${cityRoot}/fallback/${styleCase}`, city, kind: 'fallback', glyph: null, folder: styleCase, files });
+    }
+    for (const [digit, files] of Object.entries(entry.numbers || {})) {
+      folders.push({ path: `${cityRoot}/Numbers/${digit}`, city, kind: 'number', glyph: digit, folder: null, files });
+    }
+    for (const [symbol, files] of Object.entries(entry.symbols || {})) {
+      folders.push({ path: `${cityRoot}/Symbols/${symbol}`, city, kind: 'symbol', glyph: symbol, folder: null, files });
+    }
+    folders.push(...styledFolders(entry.styledNumbers, `${cityRoot}/Numbers`, city, 'number'));
+    folders.push(...styledFolders(entry.styledSymbols, `${cityRoot}/Symbols`, city, 'symbol'));
+  }
+
+  for (const [digit, files] of Object.entries(manifest.numbers || {})) {
+    folders.push({ path: `${root}/Numbers/${digit}`, city: null, kind: 'number', glyph: digit, folder: null, files });
+  }
+
+  for (const [symbol, files] of Object.entries(manifest.symbols || {})) {
+    folders.push({ path: `${root}/Symbols/${symbol}`, city: null, kind: 'symbol', glyph: symbol, folder: null, files });
+  }
+
+  folders.push(...styledFolders(manifest.styledNumbers, `${root}/Numbers`, null, 'number'));
+  folders.push(...styledFolders(manifest.styledSymbols, `${root}/Symbols`, null, 'symbol'));
+
+  return folders;
+}
+
+/**
+ * Flatten a manifest into a map of folder path → variant file names.
+ * @param {Object} manifest - Manifest produced by buildManifest
+ * @param {string} root - Assets folder prefix
+ * @returns {Map<string, string[]>}
+ */
+export function indexManifest(manifest, root = 'assets') {
+  return new Map(listManifestFolders(manifest, root).map(({ path, files }) => [path, files]));
+}
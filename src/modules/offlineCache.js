@@ -0,0 +1,116 @@
+// Offline support: the service worker (sw.js) caches files, and asset lookups
+// are persisted in IndexedDB so later visits skip resolving them again.
+import { createLogger } from './utils.js';
+import { debug } from './config.js';
+
+const logger = createLogger('OfflineCache', debug.enabled);
+
+// Key holding the manifest version the stored lookups belong to
+const VERSION_KEY = '@version';
+
+/**
+ * Register the service worker. Once it is active, it is sent every URL the
+ * page loaded before it took control, so a single visit caches the whole app.
+ * @param {string} scriptUrl - Service worker script, relative to the page
+ * @returns {Promise<ServiceWorkerRegistration|null>} null where unsupported
+ */
+export async function registerServiceWorker(scriptUrl = 'sw.js') {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+
+  try {
+    const registration = await navigator.serviceWorker.register(scriptUrl);
+    const ready = await navigator.serviceWorker.ready;
+    const urls = [
+      location.href.split('#')[0],
+      ...performance.getEntriesByType('resource').map(entry => entry.name)
+    ].filter(url => url.startsWith('http'));
+    ready.active?.postMessage({ type: 'cache-urls', urls });
+    logger.log(`Service worker ready, caching ${urls.length} loaded files`);
+    return registration;
+  } catch (error) {
+    logger.warn('Service worker registration failed:', error);
+    return null;
+  }
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * ResolutionStore keeps AssetManager lookups (cache key → photo URL) in
+ * IndexedDB for one manifest version at a time. Where IndexedDB isn't
+ * available (private windows, Node) it stores nothing.
+ */
+export class ResolutionStore {
+  constructor({ name = 'streettype', storeName = 'resolutions' } = {}) {
+    this.name = name;
+    this.storeName = storeName;
+    this.version = null;
+    this.dbPromise = null;
+  }
+
+  get available() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  _open() {
+    if (!this.dbPromise) {
+      const open = indexedDB.open(this.name, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(this.storeName);
+      this.dbPromise = request(open);
+    }
+    return this.dbPromise;
+  }
+
+  async _store(mode) {
+    const db = await this._open();
+    return db.transaction(this.storeName, mode).objectStore(this.storeName);
+  }
+
+  /**
+   * Read the lookups stored for a manifest version. Lookups stored for any
+   * other version are deleted, since the photos they point at may have moved.
+   * @param {string} version - Asset manifest version
+   * @returns {Promise<Map>} Cache key → URL
+   */
+  async load(version) {
+    if (!this.available || !version) return new Map();
+
+    try {
+      const reader = await this._store('readonly');
+      const [storedVersion, keys, values] = await Promise.all([
+        request(reader.get(VERSION_KEY)),
+        request(reader.getAllKeys()),
+        request(reader.getAll())
+      ]);
+
+      this.version = version;
+      if (storedVersion !== version) {
+        const writer = await this._store('readwrite');
+        writer.clear();
+        writer.put(version, VERSION_KEY);
+        logger.log(`Asset lookups reset for manifest ${version}`);
+        return new Map();
+      }
+
+      return new Map(keys.map((key, i) => [key, values[i]]).filter(([key]) => key !== VERSION_KEY));
+    } catch (error) {
+      logger.warn('Could not read stored asset lookups:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Store a lookup for the loaded version (after load()); failures are only logged.
+   */
+  set(key, url) {
+    if (!this.available || !this.version) return;
+    this._store('readwrite')
+      .then(store => store.put(url, key))
+      .catch(error => logger.warn('Could not store asset lookup:', error));
+  }
+}
@@ -0,0 +1,193 @@
+// Print-resolution export helpers: page geometry, PNG DPI tagging and a minimal PDF writer
+import { canvasFormats, printOptions } from './config.js';
+
+const POINTS_PER_INCH = 72;
+
+/**
+ * Compute the pixel and point geometry of a poster format at a DPI.
+ * The page is the trim size plus bleed on every side; the safe area is the
+ * trim size minus the safe margin on every side.
+ * @param {string} format - Key of config.canvasFormats (e.g. '11x17')
+ * @param {Object} options
+ * @param {number} options.dpi - Output resolution
+ * @param {number} options.bleed - Bleed in inches
+ * @param {number} options.safeMargin - Safe margin in inches
+ * @returns {Object} Page size in px and pt, bleed in px and pt, safe area in px, and the DPI used
+ */
+export function getPrintGeometry(format, { dpi = printOptions.defaultDpi, bleed = 0, safeMargin = 0 } = {}) {
+  const formatConfig = canvasFormats[format];
+  if (!formatConfig) {
+    throw new Error(`Unknown canvas format: ${format}`);
+  }
+
+  const pageWidthIn = formatConfig.widthIn + bleed * 2;
+  const pageHeightIn = formatConfig.heightIn + bleed * 2;
+
+  // Browsers refuse very large canvases; lower the DPI until the page fits
+  let usedDpi = dpi;
+  const maxDpi = Math.floor(Math.sqrt(printOptions.maxPixels / (pageWidthIn * pageHeightIn)));
+  if (usedDpi > maxDpi) {
+    usedDpi = maxDpi;
+  }
+
+  const inset = bleed + safeMargin;
+  return {
+    dpi: usedDpi,
+    widthPx: Math.round(pageWidthIn * usedDpi),
+    heightPx: Math.round(pageHeightIn * usedDpi),
+    widthPt: pageWidthIn * POINTS_PER_INCH,
+    heightPt: pageHeightIn * POINTS_PER_INCH,
+    bleedPx: Math.round(bleed * usedDpi),
+    bleedPt: bleed * POINTS_PER_INCH,
+    safe: {
+      x: Math.round(inset * usedDpi),
+      y: Math.round(inset * usedDpi),
+      w: Math.round((formatConfig.widthIn - safeMargin * 2) * usedDpi),
+      h: Math.round((formatConfig.heightIn - safeMargin * 2) * usedDpi)
+    }
+  };
+}
+
+/**
+ * Scale a layout of width × height into an area, keeping its proportions.
+ * The layout is centered horizontally and aligned to the top of the area.
+ * @returns {{ scale: number, x: number, y: number }}
+ */
+export function fitToArea(width, height, area) {
+  const scale = Math.min(area.w / width, area.h / height);
+  return {
+    scale,
+    x: area.x + (area.w - width * scale) / 2,
+    y: area.y
+  };
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Tag PNG bytes with a physical resolution (pHYs chunk) so print software
+ * opens them at the intended size. Any existing pHYs chunk is replaced.
+ * @param {Uint8Array} png - PNG file bytes
+ * @param {number} dpi - Dots per inch
+ * @returns {Uint8Array} New PNG bytes
+ */
+export function setPngDpi(png, dpi) {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const chunks = [png.subarray(0, 8)];
+  let offset = 8;
+
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  const phys = new Uint8Array(21);
+  const physView = new DataView(phys.buffer);
+  physView.setUint32(0, 9);
+  phys.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  physView.setUint32(8, pixelsPerMeter);
+  physView.setUint32(12, pixelsPerMeter);
+  phys[16] = 1; // unit: meter
+  physView.setUint32(17, crc32(phys.subarray(4, 17)));
+
+  while (offset < png.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+
+    if (type !== 'pHYs') {
+      chunks.push(png.subarray(offset, end));
+    }
+    if (type === 'IHDR') {
+      chunks.push(phys);
+    }
+    offset = end;
+  }
+
+  const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let position = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, position);
+    position += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * Build a single-page PDF showing one full-bleed JPEG.
+ * MediaBox and BleedBox cover the whole page; TrimBox is inset by the bleed.
+ * @param {Object} params
+ * @param {Uint8Array} params.jpeg - JPEG file bytes
+ * @param {number} params.pixelWidth - JPEG width in px
+ * @param {number} params.pixelHeight - JPEG height in px
+ * @param {number} params.widthPt - Page width in points
+ * @param {number} params.heightPt - Page height in points
+ * @param {number} params.bleedPt - Bleed in points
+ * @returns {Uint8Array} PDF file bytes
+ */
+export function buildImagePDF({ jpeg, pixelWidth, pixelHeight, widthPt, heightPt, bleedPt = 0 }) {
+  const encoder = new TextEncoder();
+  const num = n => Number(n.toFixed(3)).toString();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = chunk => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  const content = encoder.encode(`q\n${num(widthPt)} 0 0 ${num(heightPt)} 0 0 cm\n/Im0 Do\nQ`);
+  const trimBox = [bleedPt, bleedPt, widthPt - bleedPt, heightPt - bleedPt].map(num).join(' ');
+
+  write('%PDF-1.4\n%âãÏÓ\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+  object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(widthPt)} ${num(heightPt)}] ` +
+    `/BleedBox [0 0 ${num(widthPt)} ${num(heightPt)}] /TrimBox [${trimBox}] ` +
+    '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>');
+  object(4, `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} ` +
+    `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`, jpeg);
+  object(5, `<< /Length ${content.length} >>`, content);
+
+  const xrefOffset = length;
+  write(`xref\n0 6\n0000000000 65535 f \n`);
+  for (let id = 1; id <= 5; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const result = new Uint8Array(length);
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+  return result;
+}
@@ -1,36 +1,54 @@
 // StreetType Visual Renderer - p5.js canvas rendering with proper letter spacing
-import { createLogger, getSystemFontFallbacks } from './utils.js';
-import { debug, styleColors } from './config.js';
+import { createLogger, downloadBlob, fetchAsDataURL, getSystemFontFallbacks } from './utils.js';
+import { cacheBudget, debug, getFallbackColors, printOptions } from './config.js';
+import { Composition } from './composition.js';
+import { defaultMetrics, normalizeMetrics, placeGlyph } from './glyphMetrics.js';
+import { isIdentity, processingKey, processPixels, thumbnailHeight } from './imageProcessing.js';
+import { LRUCache, imageBytes } from './lruCache.js';
+import { buildLayoutSVG, textureTile } from './svgExport.js';
+import { buildImagePDF, fitToArea, getPrintGeometry, setPngDpi } from './printExport.js';
 
 const logger = createLogger('Renderer', debug.enabled);
 
+// p5 blend mode constants for the theme blend modes
+const BLEND_MODES = {
+  normal: 'BLEND',
+  multiply: 'MULTIPLY',
+  screen: 'SCREEN'
+};
+
 /**
  * VisualRenderer handles p5.js canvas rendering of letters with proper spacing and fallbacks.
+ * Layout comes from Composition; this class loads photos and draws them.
  */
-export class VisualRenderer {
+export class VisualRenderer extends Composition {
   constructor(containerId) {
+    super();
     this.containerId = containerId;
-    this.letterSpacing = 5;
-    this.lineHeight = 80;
-    this.letterWidth = 40;
-    this.letterHeight = 60;
-    this.topPadding = 60;
-    this.bottomPadding = 40;
     this.canvas = null;
     this.p5Instance = null;
     this.debugMode = false;
     
-    // Style colors for fallback rendering
-    this.styleColors = {
-      sans: { fill: '#3a7ca5', bg: '#f0f8ff' },
-      serif: { fill: '#d63030', bg: '#fff0f0' },
-      mono: { fill: '#2d882d', bg: '#f0fff0' },
-      script: { fill: '#aa7c39', bg: '#fff8e6' },
-      decorative: { fill: '#9933cc', bg: '#f8f0ff' },
-      default: { fill: '#666666', bg: '#f5f5f5' }
-    };
+    // Decoded photos: thumbnails per URL and height, and processed copies of
+    // them per treatment, within a byte budget. Full-size photos are only held
+    // while exporting. photoHeights remembers each photo's full height.
+    this.images = new LRUCache({ capacity: cacheBudget.imageBytes, sizeOf: imageBytes });
+    this.photoHeights = new Map();
+    
+    // Hit-testing: glyph boxes from the last draw, and the selected letter index
+    this.glyphBoxes = [];
+    this.selectedIndex = -1;
+    this.letterClickHandler = null;
+    this.showGlyphMarks = true;
 
     this._updateLetters = () => {};
+    this._updateCount = 0;
+    this._replaceLetter = () => {};
+    this._reprocessLetters = () => {};
+    this._rethemeLetters = () => {};
+    this._checkThumbnails = () => {};
+    this._withOriginals = fn => fn(this._getLetters());
+    this._getLetters = () => [];
     this.downloadLink = this._createDownloadLink();
     
     window.addEventListener('resize', () => this._handleResize());
@@ -72,10 +90,11 @@ export class VisualRenderer {
 
     this.p5Instance = new p5(p => {
       let letters = [];
+      this._getLetters = () => letters;
 
       p.setup = () => {
         this.canvas = p
-          .createCanvas(container.offsetWidth, 500)
+          .createCanvas(container.offsetWidth, this.formatHeight(container.offsetWidth))
           .parent(this.containerId);
           
         if (this.canvas.elt) {
@@ -86,11 +105,22 @@ export class VisualRenderer {
         p.textAlign(p.LEFT, p.TOP);
         p.textSize(16);
         p.noLoop();
+        
+        this.canvas.mousePressed(() => this._handleCanvasClick(p));
       };
 
       p.draw = () => {
+        const { items, height } = this.layoutLetters(letters, p.width);
+        
+        // Canvas keeps the poster format's proportions, growing if the content needs it
+        const neededHeight = Math.max(height, this.formatHeight(p.width));
+        if (letters.length > 0 && neededHeight !== p.height) {
+          p.resizeCanvas(p.width, neededHeight);
+        }
+        
         p.clear();
-        p.background(255);
+        this._drawBackground(p, { x: 0, y: 0, w: p.width, h: p.height });
+        this.glyphBoxes = [];
 
         if (letters.length === 0) {
           p.fill(150);
@@ -98,71 +128,75 @@ export class VisualRenderer {
           return;
         }
 
-        let x = 10, y = this.topPadding;
-        const maxW = p.width - 20;
-        let currentLineMaxHeight = this.letterHeight;
+        this.glyphBoxes = items.map(item => ({ index: item.index, ...item.box }));
+        this._drawItems(p, items);
+        this._checkThumbnails();
+        
+        if (this.showGlyphMarks) {
+          this._drawGlyphMarks(p, letters);
+        }
+        
+        if (this.debugMode) {
+          this._drawDebugInfo(p, letters);
+        }
+      };
 
-        for (const lt of letters) {
+      this._drawItems = (p, items) => {
+        for (const item of items) {
           try {
-            if (lt.type === 'space') {
-              x += this.letterWidth + this.letterSpacing;
-            } else if (lt.type === 'letter' && lt.img) {
-              this._drawLetterImage(p, lt, x, y);
-              const imgHeight = this._getScaledHeight(lt.img);
-              currentLineMaxHeight = Math.max(currentLineMaxHeight, imgHeight);
-              x += this.letterWidth + this.letterSpacing;
-            } else if (lt.type === 'letter' && lt.url && lt.url.startsWith('data:image/svg+xml')) {
-              this._drawSvgLetter(p, lt, x, y);
-              x += this.letterWidth + this.letterSpacing;
+            if (item.kind === 'image') {
+              this._drawLetterImage(p, item);
+            } else if (item.kind === 'svg') {
+              this._drawSvgLetter(p, item);
             } else {
-              this._drawFallbackLetter(p, lt.value, x, y, lt.style || 'default');
-              x += this.letterWidth + this.letterSpacing;
-            }
-            
-            // Wrap to next line if needed
-            if (x > maxW) {
-              x = 10;
-              y += Math.max(this.lineHeight, currentLineMaxHeight + 20);
-              currentLineMaxHeight = this.letterHeight;
+              const { cell, letter } = item;
+              this._drawFallbackLetter(p, letter.value, cell.x, cell.y, letter.style || 'default');
             }
           } catch (error) {
-            logger.error('Error rendering letter:', error, lt);
-            x += this.letterWidth + this.letterSpacing;
+            logger.error('Error rendering letter:', error, item.letter);
           }
         }
+      };
 
-        // Resize canvas if content exceeds height
-        const neededH = y + currentLineMaxHeight + this.bottomPadding;
-        if (neededH > p.height) {
-          p.resizeCanvas(p.width, neededH);
-        }
-        
-        if (this.debugMode) {
-          this._drawDebugInfo(p, letters);
+      this._drawGlyphMarks = (p, letters) => {
+        p.push();
+        for (const box of this.glyphBoxes) {
+          const isSelected = box.index === this.selectedIndex;
+          
+          // Outline the selected glyph
+          if (isSelected) {
+            p.noFill();
+            p.stroke(0, 116, 217);
+            p.strokeWeight(2);
+            p.rect(box.x - 2, box.y - 2, box.w + 4, box.h + 4);
+          }
+          
+          // Small badge on locked glyphs
+          if (letters[box.index]?.locked) {
+            p.noStroke();
+            p.fill(0, 116, 217);
+            p.circle(box.x + box.w - 4, box.y + 4, 8);
+          }
         }
+        p.pop();
       };
 
-      this._drawLetterImage = (p, letter, x, y) => {
-        const img = letter.img;
-        const drawWidth = this.letterWidth;
-        const drawHeight = this._getScaledHeight(img);
-        
-        const offsetX = (this.letterWidth - drawWidth) / 2;
-        const offsetY = this._getVerticalOffset(letter.value);
-        
-        p.image(img, x + offsetX, y + offsetY, drawWidth, drawHeight);
+      this._drawLetterImage = (p, { letter, box, crop }) => {
+        p.push();
+        if (this.theme.tint) p.tint(this.theme.tint);
+        p.blendMode(p[BLEND_MODES[this.theme.blendMode]] || p.BLEND);
+        p.image(letter.img, box.x, box.y, box.w, box.h, crop.x, crop.y, crop.w, crop.h);
+        p.pop();
       };
 
-      this._drawSvgLetter = (p, letter, x, y) => {
+      this._drawSvgLetter = (p, { letter, cell, box }) => {
         if (letter.svgImg) {
-          const offsetX = (this.letterWidth - this.letterWidth * 0.8) / 2;
-          const offsetY = this._getVerticalOffset(letter.value);
-          p.image(letter.svgImg, x + offsetX, y + offsetY, this.letterWidth * 0.8, this.letterHeight);
+          p.image(letter.svgImg, box.x, box.y, box.w, box.h);
           return;
         }
         
         // Fallback to text rendering
-        this._drawFallbackLetter(p, letter.value, x, y, letter.style || 'default');
+        this._drawFallbackLetter(p, letter.value, cell.x, cell.y, letter.style || 'default');
         
         // Try to load SVG asynchronously
         if (letter.url && !letter.svgImgLoading) {
@@ -182,21 +216,22 @@ export class VisualRenderer {
       };
 
       this._drawFallbackLetter = (p, char, x, y, style = 'default') => {
-        const styleKey = style.split('-')[0];
-        const styleData = this.styleColors[styleKey] || this.styleColors.default;
+        const colors = getFallbackColors(this.theme.palette, char, style);
         
         // Background
-        p.fill(styleData.bg);
+        p.stroke(colors.stroke);
+        p.fill(colors.background);
         p.rect(x, y, this.letterWidth, this.letterHeight);
         
-        // Letter with proper offset
-        const offsetY = this._getVerticalOffset(char);
-        p.fill(styleData.fill);
-        p.textSize(36);
+        // Letter
+        p.noStroke();
+        p.fill(colors.fill);
+        p.textSize(this.fallbackTextSize());
         p.textAlign(p.CENTER, p.CENTER);
-        p.text(char, x + this.letterWidth/2, y + this.letterHeight/2 + offsetY);
+        p.text(char, x + this.letterWidth/2, y + this.letterHeight/2);
         
         // Reset
+        p.stroke(0);
         p.textAlign(p.LEFT, p.TOP);
         p.textSize(16);
       };
@@ -220,10 +255,16 @@ export class VisualRenderer {
           styleDistribution[baseStyle] = (styleDistribution[baseStyle] || 0) + 1;
         });
         
+        // Count cities for mixed cities feedback
+        const cityDistribution = {};
+        letters.filter(l => l.type === 'letter' && l.city).forEach(letter => {
+          cityDistribution[letter.city] = (cityDistribution[letter.city] || 0) + 1;
+        });
+        
         const info = [
           `Letters: ${letterCount}`,
           `SVG: ${svgCount}`,
-          `Images: ${imageCount}`,
+          `Images: ${imageCount} (${(this.images.getStats().size / 1048576).toFixed(1)} MB cached)`,
           `Canvas: ${p.width}x${p.height}`,
           `Padding: ${this.topPadding}`
         ].join(' | ');
@@ -238,69 +279,301 @@ export class VisualRenderer {
           p.text(`🎲 Random Mix: ${styleInfo}`, 10, p.height - 95);
         }
         
+        // Show city distribution for mixed cities
+        if (Object.keys(cityDistribution).length > 1) {
+          const cityInfo = Object.entries(cityDistribution)
+            .map(([city, count]) => `${city}: ${count}`)
+            .join(', ');
+          p.text(`🏙 Mixed Cities: ${cityInfo}`, 10, p.height - 80);
+        }
+        
         p.pop();
       };
 
-      // Main update function called from outside
-      this._updateLetters = async raw => {
-        const loaded = [];
+      // Replace a single letter, loading only its image
+      this._replaceLetter = async (index, lt) => {
+        if (index < 0 || index >= letters.length) return;
         
-        for (const lt of raw) {
-          if (lt.type === 'letter' && lt.url && !lt.url.startsWith('data:')) {
-            try {
-              const img = await new Promise(resolve => 
-                p.loadImage(
-                  lt.url,
-                  img => resolve(img),
-                  () => resolve(null)
-                )
-              );
-              
-              if (img) {
-                loaded.push({ ...lt, img });
-              } else {
-                loaded.push(lt); // Will use fallback rendering
-              }
-            } catch (error) {
-              logger.warn('Error loading image:', error);
-              loaded.push(lt);
-            }
-          } else {
-            loaded.push(lt);
-          }
+        let loaded = lt;
+        const current = letters[index];
+        if (current?.img && current.url === lt.url) {
+          // Same photo (e.g. only the lock changed): keep the loaded image
+          loaded = { ...lt, sourceImg: current.sourceImg, img: current.img };
+        } else if (lt.type === 'letter' && lt.url && !lt.url.startsWith('data:')) {
+          const photo = await this._loadPhoto(lt);
+          if (photo) loaded = { ...lt, ...photo, img: this._processImage(lt.url, photo.sourceImg) };
+        } else {
+          loaded = this.themeFallback(lt);
         }
         
+        letters = letters.map((current, i) => (i === index ? loaded : current));
+        p.redraw();
+      };
+
+      // Main update function called from outside. Photos already on the canvas
+      // are reused; the others load in parallel, each URL once.
+      this._updateLetters = async (raw, signal) => {
+        const update = ++this._updateCount;
+        const photos = new Map();
+        const svgImages = new Map();
+        letters.forEach(lt => {
+          if (lt.sourceImg) photos.set(lt.url, Promise.resolve({ sourceImg: lt.sourceImg, originalHeight: lt.originalHeight }));
+          if (lt.svgImg) svgImages.set(lt.url, lt.svgImg);
+        });
+        const loadPhoto = lt => {
+          if (!photos.has(lt.url)) photos.set(lt.url, this._loadPhoto(lt, signal));
+          return photos.get(lt.url);
+        };
+        
+        const loaded = await Promise.all(raw.map(async lt => {
+          if (!(lt.type === 'letter' && lt.url && !lt.url.startsWith('data:'))) {
+            const themed = this.themeFallback(lt);
+            const svgImg = svgImages.get(themed.url);
+            return svgImg ? { ...themed, svgImg } : themed;
+          }
+          try {
+            const photo = await loadPhoto(lt);
+            // Keep the untreated thumbnail so it can be processed again with other settings
+            return photo ? { ...lt, ...photo, img: this._processImage(lt.url, photo.sourceImg) } : lt;
+          } catch (error) {
+            if (signal?.aborted) return lt;
+            logger.warn('Error loading image:', error);
+            return lt; // Will use fallback rendering
+          }
+        }));
+        
+        // Superseded while these photos were loading
+        if (signal?.aborted || update !== this._updateCount) return;
+        
         letters = loaded;
         p.redraw();
       };
+
+      // Reload the photos whose thumbnails are now too small to draw sharply
+      // (e.g. after the type size went up), once the last reload is done.
+      // Photos that don't reload keep their thumbnail, which then counts as
+      // their full size, so they aren't retried on every draw.
+      let reloadingThumbnails = false;
+      this._checkThumbnails = () => {
+        if (reloadingThumbnails) return;
+        const stale = letters.filter(lt => lt.sourceImg && lt.sourceImg.height <
+          thumbnailHeight(this._photoHeightFor(lt), lt.originalHeight, cacheBudget.minThumbnailHeight));
+        if (stale.length === 0) return;
+        
+        reloadingThumbnails = true;
+        const urls = [...new Set(stale.map(lt => lt.url))];
+        const replaceThumbnails = photos => {
+          letters = letters.map(lt => {
+            if (!lt.sourceImg || !photos.has(lt.url)) return lt;
+            const photo = photos.get(lt.url);
+            return photo
+              ? { ...lt, ...photo, img: this._processImage(lt.url, photo.sourceImg) }
+              : { ...lt, originalHeight: lt.sourceImg.height };
+          });
+          reloadingThumbnails = false;
+          p.redraw();
+        };
+        Promise.all(urls.map(url => this._loadPhoto(stale.find(lt => lt.url === url))))
+          .then(results => replaceThumbnails(new Map(urls.map((url, i) => [url, results[i]]))))
+          .catch(error => {
+            logger.warn('Error reloading thumbnails:', error);
+            replaceThumbnails(new Map(urls.map(url => [url, null])));
+          });
+      };
+      
+      // Call fn with a copy of the letters that has every photo at full size
+      // (for print and SVG export). The canvas keeps its thumbnails, so
+      // updates made while exporting never hold on to the originals.
+      this._withOriginals = async fn => {
+        const thumbnails = letters;
+        const urls = [...new Set(thumbnails.filter(lt => lt.sourceImg).map(lt => lt.url))];
+        const originals = await Promise.all(urls.map(url =>
+          new Promise(resolve => p.loadImage(url, img => resolve(img), () => resolve(null)))));
+        const byUrl = new Map(urls.map((url, i) => [url, originals[i]]));
+        
+        return fn(thumbnails.map(lt => {
+          const original = byUrl.get(lt.url);
+          return original && lt.sourceImg
+            ? { ...lt, sourceImg: original, img: this._processImage(lt.url, original, { cache: false }) }
+            : lt;
+        }));
+      };
+
+      // Run the current photo treatment again on every loaded photo
+      this._reprocessLetters = () => {
+        letters = letters.map(lt => (lt.sourceImg ? { ...lt, img: this._processImage(lt.url, lt.sourceImg) } : lt));
+        p.redraw();
+      };
+
+      // Recolor SVG fallbacks for the current theme
+      this._rethemeLetters = () => {
+        letters = letters.map(lt => this.themeFallback(lt));
+        p.redraw();
+      };
+    });
+  }
+
+  /**
+   * Paint the theme background: its color over the whole surface, and its
+   * texture over `area` (in the current drawing coordinates).
+   */
+  _drawBackground(g, area) {
+    g.background(this.theme.background);
+    
+    const tile = textureTile(this.theme.texture);
+    if (!tile) return;
+    
+    const color = g.color(this.theme.texture.color);
+    color.setAlpha(this.theme.texture.opacity * 255);
+    g.push();
+    g.noStroke();
+    g.fill(color);
+    for (let ty = Math.floor(area.y / tile.size) * tile.size; ty < area.y + area.h; ty += tile.size) {
+      for (let tx = Math.floor(area.x / tile.size) * tile.size; tx < area.x + area.w; tx += tile.size) {
+        for (const rect of tile.rects) {
+          g.rect(tx + rect.x, ty + rect.y, rect.w, rect.h);
+        }
+      }
+    }
+    g.pop();
+  }
+
+  /**
+   * Apply the photo treatment to a loaded photo. Returns the photo itself when
+   * the settings change nothing; otherwise a processed copy, cached per URL,
+   * photo height and settings unless `cache` is false.
+   */
+  _processImage(url, img, { cache = true } = {}) {
+    if (isIdentity(this.processing)) return img;
+    
+    const key = `${url}@${img.height}|${processingKey(this.processing)}`;
+    let processed = cache ? this.images.get(key) : undefined;
+    if (!processed) {
+      processed = img.get();
+      processed.loadPixels();
+      processPixels(processed.pixels, processed.width, processed.height, this.processing);
+      processed.updatePixels();
+      if (cache) this.images.set(key, processed);
+    }
+    return processed;
+  }
+
+  /**
+   * Photo height in px that draws a glyph sharply at the current type size:
+   * the height the whole photo is drawn at, times the pixel density and
+   * cacheBudget.oversample.
+   */
+  _photoHeightFor(lt) {
+    const metrics = lt.metrics ? normalizeMetrics(lt.metrics, lt.value) : defaultMetrics(lt.value);
+    const { height } = placeGlyph(metrics, { imageWidth: 1, imageHeight: 1, capHeight: this.letterHeight, char: lt.value });
+    const density = this.p5Instance?.pixelDensity() || 1;
+    return (height / metrics.crop.h) * density * cacheBudget.oversample;
+  }
+
+  /**
+   * Load a photo glyph as a thumbnail for the current type size (see
+   * imageProcessing.thumbnailHeight). Thumbnails still in the image cache are
+   * used without loading the photo again; the full-size photo isn't kept.
+   * @param {Object} lt - Photo letter object
+   * @param {AbortSignal} signal - Once aborted, no load is started and a pending one is given up
+   * @returns {Promise<{ sourceImg, originalHeight }|null>} null when the photo doesn't load;
+   *   rejects with an AbortError when aborted
+   */
+  async _loadPhoto(lt, signal) {
+    signal?.throwIfAborted();
+    const neededHeight = this._photoHeightFor(lt);
+    const originalHeight = this.photoHeights.get(lt.url);
+    if (originalHeight) {
+      const height = thumbnailHeight(neededHeight, originalHeight, cacheBudget.minThumbnailHeight);
+      const cached = this.images.get(`${lt.url}@${height}`);
+      if (cached) return { sourceImg: cached, originalHeight };
+    }
+    
+    const original = await new Promise((resolve, reject) => {
+      const abort = () => reject(signal.reason);
+      signal?.addEventListener('abort', abort, { once: true });
+      const settle = img => {
+        signal?.removeEventListener('abort', abort);
+        resolve(img);
+      };
+      this.p5Instance.loadImage(lt.url, settle, () => settle(null));
     });
+    if (!original) return null;
+    
+    this.photoHeights.set(lt.url, original.height);
+    const height = thumbnailHeight(neededHeight, original.height, cacheBudget.minThumbnailHeight);
+    let thumbnail = original;
+    if (height < original.height) {
+      thumbnail = original.get();
+      thumbnail.resize(0, height);
+    }
+    this.images.set(`${lt.url}@${height}`, thumbnail);
+    return { sourceImg: thumbnail, originalHeight: original.height };
   }
 
   /**
-   * Get scaled height maintaining aspect ratio.
+   * Switch poster format; the canvas takes on its proportions.
    */
-  _getScaledHeight(img) {
-    const aspectRatio = img.height / img.width;
-    return this.letterWidth * aspectRatio;
+  setCanvasFormat(format) {
+    if (!super.setCanvasFormat(format)) return false;
+    this._handleResize();
+    return true;
   }
 
   /**
-   * Get vertical offset for tall letters.
+   * Render letters from letter objects array. Once `signal` is aborted no more
+   * photos are loaded for them and the canvas keeps what it shows.
    */
-  _getVerticalOffset(char) {
-    const isTallLetter = /[tdfhklbijgpqy]/i.test(char);
-    return isTallLetter ? -25 : 0;
+  renderLetters(letterData, { signal } = {}) {
+    if (!this.p5Instance) {
+      logger.error('P5 not initialized');
+      return;
+    }
+    return this._updateLetters(letterData, signal);
   }
 
   /**
-   * Render letters from letter objects array.
+   * Replace the letter at one index without reloading the others.
    */
-  renderLetters(letterData) {
+  updateLetter(index, letter) {
     if (!this.p5Instance) {
       logger.error('P5 not initialized');
       return;
     }
-    this._updateLetters(letterData);
+    return this._replaceLetter(index, letter);
+  }
+
+  /**
+   * Find the glyph box under a canvas point, or null.
+   */
+  getGlyphAt(x, y) {
+    return this.glyphBoxes.find(box =>
+      x >= box.x && x <= box.x + box.w && y >= box.y && y <= box.y + box.h
+    ) || null;
+  }
+
+  /**
+   * Register a callback for clicks on the canvas: (index, box) for a glyph,
+   * (-1, null) for empty space.
+   */
+  onLetterClick(handler) {
+    this.letterClickHandler = handler;
+  }
+
+  /**
+   * Highlight a letter index (-1 clears the selection).
+   */
+  setSelectedIndex(index) {
+    this.selectedIndex = index;
+    if (this.p5Instance) this.p5Instance.redraw();
+  }
+
+  _handleCanvasClick(p) {
+    const box = this.getGlyphAt(p.mouseX, p.mouseY);
+    this.setSelectedIndex(box ? box.index : -1);
+    if (this.letterClickHandler) {
+      this.letterClickHandler(box ? box.index : -1, box);
+    }
   }
 
   /**
@@ -311,11 +584,184 @@ export class VisualRenderer {
       logger.error('Canvas not ready');
       return;
     }
-    const dataURL = this.canvas.elt.toDataURL('image/png');
+    const dataURL = this.toDataURL();
     this.downloadLink.href = dataURL;
     this.downloadLink.click();
   }
 
+  /**
+   * Export the composition as an SVG file laid out exactly like the canvas.
+   * Photos are embedded as data URLs so the file stands alone (e.g. in Illustrator);
+   * fallback glyphs are written as real text.
+   */
+  async exportAsSVG({ embedImages = true } = {}) {
+    if (!this.canvas) {
+      logger.error('Canvas not ready');
+      return;
+    }
+    
+    const svg = await this.toSVG({ embedImages });
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'streettype.svg');
+  }
+
+  /**
+   * Build the SVG markup for the current composition, with photos at full size.
+   */
+  toSVG(options) {
+    return this._withOriginals(letters => this._buildSVG(letters, options));
+  }
+
+  async _buildSVG(letters, { embedImages = true } = {}) {
+    const width = this.canvas.width;
+    const { items, height } = this.layoutLetters(letters, width);
+    const imageHrefs = new Map();
+    
+    for (const item of items) {
+      const { url, img, sourceImg } = item.letter;
+      if (item.kind !== 'image' || imageHrefs.has(url)) continue;
+      
+      // Processed photos only exist on the canvas, so they are always embedded
+      if (img !== sourceImg && img.canvas) {
+        imageHrefs.set(url, img.canvas.toDataURL('image/png'));
+        continue;
+      }
+      
+      if (embedImages) {
+        try {
+          imageHrefs.set(url, await fetchAsDataURL(url));
+        } catch (error) {
+          logger.warn(`Could not embed ${url}, linking it instead:`, error);
+        }
+      }
+    }
+    
+    return buildLayoutSVG({
+      width,
+      height: Math.max(height, this.canvas.height),
+      items,
+      imageHrefs,
+      theme: this.theme,
+      textSize: this.fallbackTextSize()
+    });
+  }
+
+  /**
+   * Render the composition offscreen at print resolution for a poster format.
+   * The on-screen layout is scaled into the format's safe area; the background
+   * runs out to the bleed. Call `graphics.remove()` when done.
+   * @param {Object} options - { format, dpi, bleed, safeMargin } (bleed and margin in inches),
+   *   and the letters to draw (the canvas's by default)
+   * @returns {{ graphics: p5.Graphics, geometry: Object }}
+   */
+  renderPrint({ format = this.canvasFormat, dpi = printOptions.defaultDpi, bleed = 0, safeMargin = 0, letters = this._getLetters() } = {}) {
+    const p = this.p5Instance;
+    const geometry = getPrintGeometry(format, { dpi, bleed, safeMargin });
+    if (geometry.dpi < dpi) {
+      logger.warn(`${format} at ${dpi} DPI is too large for a canvas, using ${geometry.dpi} DPI`);
+    }
+    
+    const width = this.canvas.width;
+    const { items, height } = this.layoutLetters(letters, width);
+    const fit = fitToArea(width, Math.max(height, this.formatHeight(width)), geometry.safe);
+    
+    // Size the graphics in output pixels regardless of the screen's pixel density
+    const density = p.pixelDensity();
+    const graphics = p.createGraphics(geometry.widthPx / density, geometry.heightPx / density);
+    graphics.scale(1 / density);
+    graphics.translate(fit.x, fit.y);
+    graphics.scale(fit.scale);
+    // The texture runs out to the bleed, in layout px like the on-screen canvas
+    this._drawBackground(graphics, {
+      x: -fit.x / fit.scale,
+      y: -fit.y / fit.scale,
+      w: geometry.widthPx / fit.scale,
+      h: geometry.heightPx / fit.scale
+    });
+    this._drawItems(graphics, items);
+    
+    return { graphics, geometry };
+  }
+
+  /**
+   * Export a print-ready PNG (tagged with its DPI) or PDF (with trim and bleed boxes).
+   * @param {Object} options - { format, dpi, bleed, safeMargin, fileType: 'png' | 'pdf' }
+   * @returns {Promise<Object>} The print geometry that was used
+   */
+  async exportForPrint({ fileType = 'png', ...options } = {}) {
+    if (!this.canvas) {
+      logger.error('Canvas not ready');
+      return null;
+    }
+    
+    return this._withOriginals(letters => this._exportPrint(letters, fileType, options));
+  }
+
+  async _exportPrint(letters, fileType, options) {
+    const format = options.format || this.canvasFormat;
+    const { graphics, geometry } = this.renderPrint({ ...options, format, letters });
+    const canvas = graphics.elt;
+    const filename = `streettype-${format}-${geometry.dpi}dpi.${fileType}`;
+    
+    try {
+      if (fileType === 'pdf') {
+        const jpeg = await this._canvasToBytes(canvas, 'image/jpeg', 0.95);
+        const pdf = buildImagePDF({
+          jpeg,
+          pixelWidth: canvas.width,
+          pixelHeight: canvas.height,
+          widthPt: geometry.widthPt,
+          heightPt: geometry.heightPt,
+          bleedPt: geometry.bleedPt
+        });
+        downloadBlob(new Blob([pdf], { type: 'application/pdf' }), filename);
+      } else {
+        const png = setPngDpi(await this._canvasToBytes(canvas, 'image/png'), geometry.dpi);
+        downloadBlob(new Blob([png], { type: 'image/png' }), filename);
+      }
+    } finally {
+      graphics.remove();
+    }
+    
+    logger.log(`Exported ${filename} (${geometry.widthPx}x${geometry.heightPx}px)`);
+    return geometry;
+  }
+
+  async _canvasToBytes(canvas, type, quality) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    if (!blob) {
+      throw new Error(`Could not encode ${type}`);
+    }
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+
+  /**
+   * Get the canvas as a PNG data URL, without selection and lock marks.
+   */
+  toDataURL() {
+    if (!this.canvas) {
+      logger.error('Canvas not ready');
+      return null;
+    }
+    
+    this.showGlyphMarks = false;
+    this.p5Instance.redraw();
+    const dataURL = this.canvas.elt.toDataURL('image/png');
+    this.showGlyphMarks = true;
+    this.p5Instance.redraw();
+    return dataURL;
+  }
+
+  /**
+   * Memory use and hit rates of the image and ink profile caches.
+   */
+  getStats() {
+    return {
+      images: this.images.getStats(),
+      inkProfiles: this.inkProfiles.getStats(),
+      letters: this._getLetters().length
+    };
+  }
+
   /**
    * Toggle debug mode.
    */
@@ -328,29 +774,65 @@ export class VisualRenderer {
     if (!this.p5Instance || !this.canvas) return;
     const container = document.getElementById(this.containerId);
     const newW = container.offsetWidth;
-    this.p5Instance.resizeCanvas(newW, this.canvas.height);
+    // Hidden (e.g. while the metadata editor is open): keep the current size
+    if (!newW) return;
+    this.p5Instance.resizeCanvas(newW, this.formatHeight(newW));
     this.p5Instance.redraw();
   }
 
-  setLetterSpacing(n) { this.letterSpacing = n; }
-  setLineHeight(n) { this.lineHeight = n; }
-  
   /**
-   * Set font size affecting letter dimensions.
+   * Set line and block alignment (see Composition.setAlignment) and redraw.
    */
-  setFontSize(size) {
-    const sizeConfigs = {
-      small: { width: 40, height: 60, spacing: 5, lineHeight: 70, topPadding: 40, bottomPadding: 30 },
-      medium: { width: 60, height: 90, spacing: 8, lineHeight: 110, topPadding: 60, bottomPadding: 40 },
-      large: { width: 80, height: 120, spacing: 12, lineHeight: 140, topPadding: 80, bottomPadding: 50 }
-    };
-    
-    const config = sizeConfigs[size] || sizeConfigs.small;
-    this.letterWidth = config.width;
-    this.letterHeight = config.height;
-    this.letterSpacing = config.spacing;
-    this.lineHeight = config.lineHeight;
-    this.topPadding = config.topPadding;
-    this.bottomPadding = config.bottomPadding;
+  setAlignment(alignment) {
+    super.setAlignment(alignment);
+    if (this.p5Instance) this.p5Instance.redraw();
+  }
+
+  /**
+   * Set tracking in px and redraw.
+   */
+  setTracking(px) {
+    super.setTracking(px);
+    if (this.p5Instance) this.p5Instance.redraw();
+  }
+
+  /**
+   * Set the photo treatment and reprocess the photos already on the canvas.
+   */
+  setProcessing(settings) {
+    super.setProcessing(settings);
+    this._reprocessLetters();
+  }
+
+  /**
+   * Switch theme and redraw fallback letters in its palette.
+   */
+  setTheme(name) {
+    super.setTheme(name);
+    this._rethemeLetters();
+  }
+
+  /**
+   * Turn optical kerning on or off and redraw.
+   */
+  setOpticalKerning(enabled) {
+    super.setOpticalKerning(enabled);
+    if (this.p5Instance) this.p5Instance.redraw();
+  }
+
+  /**
+   * Set the manual kerning pair tables and redraw.
+   */
+  setKerningTables(tables) {
+    super.setKerningTables(tables);
+    if (this.p5Instance) this.p5Instance.redraw();
+  }
+
+  /**
+   * Set the type scale (see Composition.setTypeScale) and redraw.
+   */
+  setTypeScale(scale) {
+    super.setTypeScale(scale);
+    if (this.p5Instance) this.p5Instance.redraw();
   }
 }
\ No newline at end of file
@@ -0,0 +1,181 @@
+// SVG export of a composed StreetType layout
+import { createSeededRandom, escapeXML, getSystemFontFallbacks } from './utils.js';
+import { defaults, getFallbackColors, getTheme } from './config.js';
+
+// Side of the square tile grain textures repeat on, in px
+const GRAIN_TILE_SIZE = 128;
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Inline an SVG fallback data URL as a nested <svg>, stretched into the box
+ * the same way p5 draws the rasterized fallback. Its ids (and references to
+ * them) get `idSuffix`, since every repeat of a character uses the same ids.
+ */
+function inlineSvgFallback(url, box, idSuffix) {
+  const markup = decodeURIComponent(url.slice(url.indexOf(',') + 1));
+  const viewBox = /viewBox="([^"]+)"/.exec(markup)?.[1] || '0 0 40 60';
+  let inner = markup
+    .replace(/^[\s\S]*?<svg[^>]*>/, '')
+    .replace(/<\/svg>\s*$/, '')
+    .trim();
+
+  for (const [, id] of inner.matchAll(/\bid="([^"]+)"/g)) {
+    const renamed = `${id}_${idSuffix}`;
+    inner = inner
+      .replaceAll(`id="${id}"`, `id="${renamed}"`)
+      .replaceAll(`url(#${id})`, `url(#${renamed})`)
+      .replaceAll(`href="#${id}"`, `href="#${renamed}"`);
+  }
+
+  return `<svg x="${round(box.x)}" y="${round(box.y)}" width="${round(box.w)}" height="${round(box.h)}" ` +
+    `viewBox="${viewBox}" preserveAspectRatio="none">${inner}</svg>`;
+}
+
+/**
+ * The repeating tile of a background texture, as rectangles in tile px. The
+ * canvas and the SVG export both draw textures from this, so they match.
+ * @param {Object|null} texture - A theme texture (see config.themes)
+ * @returns {{ size: number, rects: Array<{ x, y, w, h }> }|null}
+ */
+export function textureTile(texture) {
+  if (texture?.type === 'grid') {
+    const size = texture.spacing;
+    return { size, rects: [{ x: 0, y: 0, w: size, h: 1 }, { x: 0, y: 0, w: 1, h: size }] };
+  }
+
+  if (texture?.type === 'grain') {
+    const size = GRAIN_TILE_SIZE;
+    const random = createSeededRandom(`grain:${texture.density}`);
+    const count = Math.round(size * size * texture.density);
+    const rects = Array.from({ length: count }, () => ({
+      x: Math.floor(random() * size),
+      y: Math.floor(random() * size),
+      w: 1,
+      h: 1
+    }));
+    return { size, rects };
+  }
+
+  return null;
+}
+
+/**
+ * Page background: the theme color, with its texture as a repeating pattern.
+ */
+function pageBackground(theme) {
+  const parts = [`<rect width="100%" height="100%" fill="${theme.background}"/>`];
+  const tile = textureTile(theme.texture);
+
+  if (tile) {
+    const rects = tile.rects.map(r => `<rect x="${r.x}" y="${r.y}" width="${r.w}" height="${r.h}"/>`).join('');
+    parts.push(
+      `<defs><pattern id="texture" width="${tile.size}" height="${tile.size}" patternUnits="userSpaceOnUse">` +
+        `<g fill="${theme.texture.color}" fill-opacity="${theme.texture.opacity}">${rects}</g></pattern></defs>`,
+      `<rect width="100%" height="100%" fill="url(#texture)"/>`
+    );
+  }
+
+  return parts;
+}
+
+/**
+ * A filter multiplying photos by the theme tint, the way p5's tint() does.
+ */
+function tintFilter(tint) {
+  const value = parseInt(tint.replace('#', ''), 16);
+  const [r, g, b] = [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => round(c / 255));
+  return `<defs><filter id="tint" color-interpolation-filters="sRGB"><feColorMatrix type="matrix" ` +
+    `values="${r} 0 0 0 0 0 ${g} 0 0 0 0 0 ${b} 0 0 0 0 0 1 0"/></filter></defs>`;
+}
+
+/**
+ * Draw a photo into its box. A cropped photo is wrapped in a nested <svg> whose
+ * viewBox is the crop rectangle, so only that part of the photo shows.
+ * `effects` are extra attributes for the theme's tint and blend mode.
+ */
+function photoImage(item, href, effects = '') {
+  const { letter, box, crop } = item;
+  const title = `<title>${escapeXML(letter.value)}</title>`;
+  const link = `href="${escapeXML(href)}" xlink:href="${escapeXML(href)}"${effects}`;
+  const isCropped = crop && (crop.x > 0 || crop.y > 0 || crop.w < crop.imageWidth || crop.h < crop.imageHeight);
+
+  if (!isCropped) {
+    return `<image x="${round(box.x)}" y="${round(box.y)}" width="${round(box.w)}" height="${round(box.h)}" ` +
+      `preserveAspectRatio="none" ${link}>${title}</image>`;
+  }
+
+  return `<svg x="${round(box.x)}" y="${round(box.y)}" width="${round(box.w)}" height="${round(box.h)}" ` +
+    `viewBox="${round(crop.x)} ${round(crop.y)} ${round(crop.w)} ${round(crop.h)}" preserveAspectRatio="none">` +
+    `<image width="${crop.imageWidth}" height="${crop.imageHeight}" ${link}>${title}</image></svg>`;
+}
+
+/**
+ * Draw a text fallback the way VisualRenderer._drawFallbackLetter does:
+ * a colored cell with the character centered in it.
+ */
+function textFallback(item, palette, textSize) {
+  const { letter, cell, box } = item;
+  const colors = getFallbackColors(palette, letter.value, letter.style);
+  const font = getSystemFontFallbacks(letter.style);
+  const centerY = cell.y + cell.h / 2 + (box.y - cell.y);
+
+  return `<g>` +
+    `<rect x="${round(cell.x)}" y="${round(cell.y)}" width="${round(cell.w)}" height="${round(cell.h)}" ` +
+    `fill="${colors.background}" stroke="${colors.stroke}" stroke-width="1"/>` +
+    `<text x="${round(cell.x + cell.w / 2)}" y="${round(centerY)}" font-family="${escapeXML(font)}" ` +
+    `font-size="${textSize}" fill="${colors.fill}" text-anchor="middle" dominant-baseline="central">` +
+    `${escapeXML(letter.value)}</text>` +
+    `</g>`;
+}
+
+/**
+ * Build a standalone SVG document from laid-out glyphs.
+ * @param {Object} params
+ * @param {number} params.width - Document width in px
+ * @param {number} params.height - Document height in px
+ * @param {Array} params.items - Items from Composition.layoutLetters
+ * @param {Map<string, string>} params.imageHrefs - Photo URL → href to embed (e.g. a data URL);
+ *   photos without an entry are linked by their URL
+ * @param {Object} params.theme - Theme for the background, photo tint and blend mode, and
+ *   text fallback colors (see config.themes)
+ * @param {number} params.textSize - Font size for text fallbacks
+ * @returns {string} SVG markup
+ */
+export function buildLayoutSVG({
+  width,
+  height,
+  items,
+  imageHrefs = new Map(),
+  theme = getTheme(defaults.theme),
+  textSize = 36
+}) {
+  const effects = (theme.tint ? ' filter="url(#tint)"' : '') +
+    (theme.blendMode && theme.blendMode !== 'normal' ? ` style="mix-blend-mode:${theme.blendMode}"` : '');
+
+  const body = items.map(item => {
+    const { letter, box } = item;
+
+    if (item.kind === 'image') {
+      return photoImage(item, imageHrefs.get(letter.url) || letter.url, effects);
+    }
+
+    if (item.kind === 'svg') {
+      return inlineSvgFallback(letter.url, box, item.index);
+    }
+
+    return textFallback(item, theme.palette, textSize);
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+      `width="${round(width)}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(height)}">`,
+    ...pageBackground(theme),
+    ...(theme.tint ? [tintFilter(theme.tint)] : []),
+    ...body,
+    '</svg>'
+  ].join('\n');
+}
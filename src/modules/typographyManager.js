@@ -1,7 +1,7 @@
 // Typography orchestration layer for StreetType
 import { assetManager } from './assetManager.js';
 import { LetterSelector } from './letterSelector.js';
-import { createLogger, generateFallbackLetterSVG } from './utils.js';
+import { createLogger, generateFallbackLetterSVG, generateSeed } from './utils.js';
 import { debug, defaults } from './config.js';
 
 const logger = createLogger('Typography', debug.enabled);
@@ -22,6 +22,9 @@ export class TypographyManager {
     if (this.initialized) return true;
     
     try {
+      // Asset lookups resolve against the manifest, so fetch it up front
+      await assetManager.loadManifest();
+      
       // Pre-warm cache with common letters
       this._prewarmCache();
       
@@ -62,6 +65,12 @@ export class TypographyManager {
   
   /**
    * Convert text to an array of letter objects ready for rendering.
+   * Pass `options.seed` to make the result reproducible, `options.locked`
+   * (letter objects keyed by index) to keep letters the user has locked,
+   * `options.previous` (the last result for the same options) to only resolve
+   * edited characters, `options.styleFallback` to choose what fills letters
+   * the style has no photo for, and `options.signal` (an AbortSignal) to give up
+   * on a generation that has been superseded; it then rejects with an AbortError.
    */
   async getLettersFromText(text, options = {}) {
     if (!this.initialized) {
@@ -72,21 +81,26 @@ export class TypographyManager {
       style: defaults.fontStyle,
       city: defaults.city,
       caseOption: defaults.caseOption,
+      styleFallback: defaults.styleFallback,
       ...options
     };
     
+    if (opts.seed === undefined || opts.seed === null || opts.seed === '') {
+      opts.seed = generateSeed();
+    }
+    
     // Validate and process text
     if (!text || typeof text !== 'string') {
       logger.warn('Invalid text input:', text);
       text = defaults.text;
     }
     
-    // Handle case conversion
-    let processedText = text;
+    // Handle case conversion (line endings normalized to \n)
+    let processedText = text.replace(/\r\n?/g, '\n');
     if (opts.caseOption === 'upper') {
-      processedText = text.toUpperCase();
+      processedText = processedText.toUpperCase();
     } else if (opts.caseOption === 'lower') {
-      processedText = text.toLowerCase();
+      processedText = processedText.toLowerCase();
     }
     
     logger.log(`Processing text "${text}" → "${processedText}" with options:`, opts);
@@ -95,17 +109,26 @@ export class TypographyManager {
       const letters = await this.letterSelector.selectLettersForText(
         processedText,
         opts.style,
-        opts.city
+        opts.city,
+        { seed: opts.seed, locked: opts.locked, previous: opts.previous, styleFallback: opts.styleFallback, signal: opts.signal }
       );
       
       logger.log(`Generated ${letters.length} letter objects`);
       return letters;
     } catch (error) {
+      if (opts.signal?.aborted) throw error;
       logger.error('Error processing text:', error);
       throw new Error(`Failed to process text: ${error.message}`);
     }
   }
   
+  /**
+   * Rebuild a single letter (re-roll or cycle its variant) without touching the rest.
+   */
+  async rebuildLetter(letters, index, options = {}) {
+    return this.letterSelector.rebuildLetterAt(letters, index, options);
+  }
+  
   /**
    * Get comprehensive statistics about the typography system.
    */
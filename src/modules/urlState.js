@@ -0,0 +1,177 @@
+// Generator state <-> URL query string, for shareable and bookmarkable links
+import { defaults, typeScale } from './config.js';
+import { generateFallbackLetterSVG } from './utils.js';
+import { DEFAULT_PROCESSING } from './imageProcessing.js';
+
+// Query parameter for each state field; fields equal to their default are left out
+const PARAMS = {
+  text: 't',
+  style: 'style',
+  city: 'city',
+  caseOption: 'case',
+  styleFallback: 'missing',
+  size: 'size',
+  lineHeight: 'lh',
+  padding: 'pad',
+  fit: 'fit',
+  format: 'format',
+  theme: 'theme',
+  align: 'align',
+  verticalAlign: 'valign',
+  tracking: 'tracking',
+  kerning: 'kern',
+  seed: 'seed',
+  processing: 'fx',
+  locks: 'locks'
+};
+
+const DEFAULTS = {
+  text: '',
+  style: defaults.fontStyle,
+  city: defaults.city,
+  caseOption: defaults.caseOption,
+  styleFallback: defaults.styleFallback,
+  size: String(defaults.fontSize),
+  lineHeight: String(defaults.lineHeight),
+  padding: String(defaults.padding),
+  fit: defaults.fitToCanvas ? '1' : '0',
+  format: defaults.canvasFormat,
+  theme: defaults.theme,
+  align: defaults.textAlign,
+  verticalAlign: defaults.verticalAlign,
+  tracking: String(defaults.tracking),
+  kerning: defaults.opticalKerning ? 'optical' : 'off',
+  seed: ''
+};
+
+/**
+ * Serialize locked letters (keyed by index) as a compact JSON array of
+ * [index, value, style, city, url]. SVG fallbacks store a null url and are
+ * rebuilt on decode.
+ */
+function encodeLocks(locked) {
+  const entries = Object.entries(locked || {}).map(([index, letter]) => [
+    Number(index),
+    letter.value,
+    letter.style,
+    letter.city || null,
+    letter.url && !letter.url.startsWith('data:') ? letter.url : null
+  ]);
+  return entries.length > 0 ? JSON.stringify(entries) : '';
+}
+
+/**
+ * Whether a lock URL is a relative path under assets/, the only photos a
+ * shared link may point at. Letter selection also checks it against the manifest.
+ */
+function isAssetPath(url) {
+  return typeof url === 'string'
+    && /^assets\/[^:?#\\]+$/.test(url)
+    && !url.split('/').includes('..');
+}
+
+function decodeLocks(raw) {
+  const locked = {};
+  if (!raw) return locked;
+
+  try {
+    for (const [index, value, style, city, url] of JSON.parse(raw)) {
+      if (!Number.isInteger(index) || typeof value !== 'string') continue;
+      // Locks on any other image are dropped, and their letters selected again
+      if (url && !isAssetPath(url)) continue;
+      locked[index] = {
+        type: 'letter',
+        value,
+        style,
+        city,
+        url: url || generateFallbackLetterSVG(value, style),
+        isFallback: !url,
+        locked: true
+      };
+    }
+  } catch (error) {
+    // A mangled locks parameter just means no locks
+  }
+
+  return locked;
+}
+
+/**
+ * Serialize the photo treatment as JSON of the fields that differ from the defaults.
+ */
+function encodeProcessing(processing) {
+  const changed = Object.entries(processing || {}).filter(([key, value]) =>
+    key in DEFAULT_PROCESSING && value !== DEFAULT_PROCESSING[key]);
+  return changed.length > 0 ? JSON.stringify(Object.fromEntries(changed)) : '';
+}
+
+function decodeProcessing(raw) {
+  const processing = { ...DEFAULT_PROCESSING };
+  if (!raw) return processing;
+
+  try {
+    for (const [key, value] of Object.entries(JSON.parse(raw))) {
+      if (key in DEFAULT_PROCESSING && typeof value === typeof DEFAULT_PROCESSING[key]) {
+        processing[key] = value;
+      }
+    }
+  } catch (error) {
+    // A mangled fx parameter just means untreated photos
+  }
+
+  return processing;
+}
+
+/**
+ * Encode generator state as a query string (without the leading "?").
+ * @param {Object} state - { text, style, city, caseOption, styleFallback ('closest' or 'svg'), size,
+ *   lineHeight, padding, fit ('1' or '0'), format, theme, align, verticalAlign, tracking,
+ *   kerning ('optical' or 'off'), seed, processing, locks }
+ * @returns {string}
+ */
+export function encodeState(state) {
+  const params = new URLSearchParams();
+
+  for (const [field, param] of Object.entries(PARAMS)) {
+    const value = field === 'locks' ? encodeLocks(state.locks)
+      : field === 'processing' ? encodeProcessing(state.processing)
+      : state[field];
+    if (value === undefined || value === null || value === '' || value === DEFAULTS[field]) continue;
+    params.set(param, String(value));
+  }
+
+  return params.toString();
+}
+
+/**
+ * Decode generator state from a query string. Missing fields get defaults.
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object} { text, style, city, caseOption, styleFallback, size, lineHeight, padding, fit, format, theme,
+ *   align, verticalAlign, tracking, kerning, seed, processing, locks }
+ */
+export function decodeState(search) {
+  const params = new URLSearchParams(search);
+  const state = { ...DEFAULTS };
+
+  for (const [field, param] of Object.entries(PARAMS)) {
+    if (field === 'locks' || field === 'processing' || !params.has(param)) continue;
+    state[field] = params.get(param);
+  }
+
+  // Links from before the size sliders name a preset instead of a size
+  if (typeScale.legacySizes[state.size]) {
+    state.size = String(typeScale.legacySizes[state.size]);
+  }
+
+  state.processing = decodeProcessing(params.get(PARAMS.processing));
+  state.locks = decodeLocks(params.get(PARAMS.locks));
+  return state;
+}
+
+/**
+ * Whether a query string carries any generator state.
+ */
+export function hasState(search) {
+  const params = new URLSearchParams(search);
+  return Object.values(PARAMS).some(param => params.has(param));
+}
@@ -1,4 +1,5 @@
 // Shared utility functions for StreetType
+import { defaults, getFallbackColors, getTheme } from './config.js';
 
 /**
  * Check whether the browser supports required APIs.
@@ -36,6 +37,39 @@ export function debounce(fn, wait, immediate = false) {
   };
 }
 
+/**
+ * Small non-cryptographic string hash (FNV-1a) as 8 hex digits.
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Create a seeded PRNG (mulberry32) returning floats in [0, 1), like Math.random.
+ * Any string or number works as a seed; the same seed gives the same sequence.
+ */
+export function createSeededRandom(seed) {
+  let state = parseInt(hashString(String(seed)), 16);
+  return function random() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a short random seed for a new layout.
+ */
+export function generateSeed() {
+  return String(Math.floor(Math.random() * 1000000));
+}
+
 /**
  * Create a logger with optional debug mode.
  */
@@ -80,41 +114,27 @@ export function getSystemFontFallbacks(style) {
 }
 
 /**
- * Generate a simple SVG-based fallback for missing letters as a data URL.
+ * Escape text for use in SVG/XML content and attribute values.
  */
-export function generateFallbackLetterSVG(char, style) {
+export function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Generate a simple SVG-based fallback for missing letters as a data URL,
+ * colored from a theme palette (see config.themes).
+ */
+export function generateFallbackLetterSVG(char, style, palette = getTheme(defaults.theme).palette) {
   const font = getSystemFontFallbacks(style);
-  const baseStyle = style?.split('-')[0] || style;
+  const { fill, background, stroke } = getFallbackColors(palette, char, style);
   
-  // Select colors based on style
-  let fill = '#333';
-  let background = '#f0f0f0';
-  let stroke = '#ccc';
-  
-  const styleColorMap = {
-    sans: { fill: '#3a7ca5', background: '#f0f8ff', stroke: '#2a5a7a' },
-    serif: { fill: '#d63030', background: '#fff0f0', stroke: '#a02020' },
-    mono: { fill: '#2d882d', background: '#f0fff0', stroke: '#1d681d' },
-    script: { fill: '#aa7c39', background: '#fff8e6', stroke: '#8a5c19' },
-    decorative: { fill: '#9933cc', background: '#f8f0ff', stroke: '#7922aa' }
-  };
-  
-  if (styleColorMap[baseStyle]) {
-    ({ fill, background, stroke } = styleColorMap[baseStyle]);
-  }
-  
-  // Special colors for numbers and symbols
-  if (/^[0-9]$/.test(char)) {
-    fill = '#6a5acd';
-    background = '#f5f0ff';
-    stroke = '#483d8b';
-  } else if (/^[!@#$%^&*()_+\-=\[\]{}|;':",./<>?]$/.test(char)) {
-    fill = '#ff8c00';
-    background = '#fff8f0';
-    stroke = '#cc7000';
-  }
-  
-  const filterId = `shadow_${char}_${Math.floor(Math.random() * 10000)}`;
+  // Each data URL is its own document, so a stable id is enough (and keeps output reproducible)
+  const filterId = `shadow_${char.charCodeAt(0)}`;
   
   const svg = `
     <svg xmlns="http://www.w3.org/2000/svg" width="40" height="60" viewBox="0 0 40 60" preserveAspectRatio="xMidYMid meet">
@@ -133,7 +153,7 @@ export function generateFallbackLetterSVG(char, style) {
         text-anchor="middle" 
         dominant-baseline="middle"
         filter="url(#${filterId})"
-      >${char}</text>
+      >${escapeXML(char)}</text>
     </svg>`;
     
   return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
@@ -152,6 +172,33 @@ export function downloadImage(dataUrl, filename) {
   document.body.removeChild(link);
 }
 
+/**
+ * Fetch a file and return it as a data URL (for embedding in exports).
+ */
+export async function fetchAsDataURL(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+  }
+  
+  const blob = await response.blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Download a Blob as a file.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  downloadImage(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Show a message in a container.
  */
@@ -187,7 +234,7 @@ export function checkFileExists(path, timeout = 2000) {
       resolve(false);
     };
     
-    img.src = `${path}?t=${Date.now()}`;
+    img.src = path;
   });
 }
 
@@ -212,6 +259,6 @@ export function loadImage(path, timeout = 5000) {
       reject(new Error(`Failed to load image: ${path}`));
     };
     
-    img.src = `${path}?t=${Date.now()}`;
+    img.src = path;
   });
 }
\ No newline at end of file
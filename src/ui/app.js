@@ -2,8 +2,13 @@
 import { VisualRenderer } from '../modules/renderer.js';
 import { typographyManager } from '../modules/typographyManager.js';
 import { assetManager } from '../modules/assetManager.js';
-import { createLogger, debounce, showMessage } from '../modules/utils.js';
-import { debug, defaults } from '../modules/config.js';
+import { createLogger, debounce, generateSeed, showMessage } from '../modules/utils.js';
+import { canvasFormats, debug, defaults, fontStyles, printOptions, styleFallbackPolicies, themes, typeScale } from '../modules/config.js';
+import { decodeState, encodeState, hasState } from '../modules/urlState.js';
+import { DEFAULT_PROCESSING } from '../modules/imageProcessing.js';
+import { registerServiceWorker } from '../modules/offlineCache.js';
+import { MetadataEditor } from './metadataEditor.js';
+import { CoverageDashboard } from './coverageDashboard.js';
 
 const logger = createLogger('StreetType', debug.enabled);
 
@@ -14,25 +19,422 @@ document.addEventListener('DOMContentLoaded', async () => {
   const elements = {
     userTextInput: document.getElementById('user-text'),
     fontStyleSelect: document.getElementById('font-style'),
+    styleFallbackSelect: document.getElementById('style-fallback'),
     locationSelect: document.getElementById('location'),
+    cityAttribution: document.getElementById('city-attribution'),
     caseOptionSelect: document.getElementById('case-option'),
+    textAlignSelect: document.getElementById('text-align'),
+    verticalAlignSelect: document.getElementById('vertical-align'),
+    trackingSlider: document.getElementById('tracking'),
+    trackingValue: document.getElementById('tracking-value'),
+    opticalKerningCheckbox: document.getElementById('optical-kerning'),
+    autoLevelsCheckbox: document.getElementById('auto-levels'),
+    photoToneSelect: document.getElementById('photo-tone'),
+    duotoneColors: document.getElementById('duotone-colors'),
+    duotoneDarkInput: document.getElementById('duotone-dark'),
+    duotoneLightInput: document.getElementById('duotone-light'),
+    knockoutSelect: document.getElementById('knockout'),
+    knockoutLevelControl: document.getElementById('knockout-level-control'),
+    knockoutLevelSlider: document.getElementById('knockout-level'),
+    knockoutLevelLabel: document.getElementById('knockout-level-label'),
+    knockoutLevelValue: document.getElementById('knockout-level-value'),
+    seedInput: document.getElementById('seed-input'),
+    rerollSeedBtn: document.getElementById('reroll-seed-btn'),
     generateBtn: document.getElementById('generate-btn'),
     exportBtn: document.getElementById('export-btn'),
+    exportSvgBtn: document.getElementById('export-svg-btn'),
+    canvasFormatSelect: document.getElementById('canvas-format'),
+    themeSelect: document.getElementById('theme'),
+    printDpiSelect: document.getElementById('print-dpi'),
+    printBleedCheckbox: document.getElementById('print-bleed'),
+    printSafeMarginCheckbox: document.getElementById('print-safe-margin'),
+    printPngBtn: document.getElementById('print-png-btn'),
+    printPdfBtn: document.getElementById('print-pdf-btn'),
     shareBtn: document.getElementById('share-btn'),
     outputContainer: document.getElementById('output-container'),
-    testPathsBtn: document.getElementById('test-paths-btn'),
-    fontSizeToggle: document.getElementById('size-toggle')
+    coverageBtn: document.getElementById('coverage-btn'),
+    glyphToolbar: document.getElementById('glyph-toolbar'),
+    fontSizeSlider: document.getElementById('font-size'),
+    fontSizeValue: document.getElementById('font-size-value'),
+    lineHeightSlider: document.getElementById('line-height'),
+    lineHeightValue: document.getElementById('line-height-value'),
+    paddingSlider: document.getElementById('padding'),
+    paddingValue: document.getElementById('padding-value'),
+    fitToCanvasCheckbox: document.getElementById('fit-to-canvas'),
+    canvasContainer: document.getElementById('p5-canvas-container'),
+    sidebarTabs: document.querySelectorAll('.sidebar-tabs .tab'),
+    generatorPanel: document.getElementById('generator-panel'),
+    metadataPanel: document.getElementById('metadata-panel'),
+    metadataStage: document.getElementById('metadata-stage')
   };
 
   // Initialize renderer and typography manager
   const renderer = new VisualRenderer('p5-canvas-container');
   await typographyManager.initialize();
+  renderer.setKerningTables(assetManager.getKerningTables());
 
-  // Initialize font size
-  let currentFontSize = defaults.fontSize;
+  // Initialize canvas format
+  let currentCanvasFormat = defaults.canvasFormat;
+
+  // Letters currently on the canvas, and the one selected for locking/re-rolling
+  let currentLetters = [];
+  let selectedLetterIndex = -1;
+  
+  // Options the current letters were generated with; while they stay the same,
+  // typing only resolves the characters that changed
+  let currentOptionsKey = null;
+  
+  // The latest generation; starting a new one aborts it, and only the latest
+  // takes the loading indicator down
+  let currentGeneration = null;
+  let loadingShown = false;
+  
+  // Locks restored from the URL, used by the first generation only
+  let pendingLocks = null;
+  
+  // Photo treatment applied to every glyph photo
+  let processing = { ...DEFAULT_PROCESSING };
+
+  /**
+   * Fill the Font Style dropdown from the style registry, ahead of Random Mix.
+   */
+  function populateStyleOptions() {
+    const select = elements.fontStyleSelect;
+    if (!select) return;
+    
+    const randomOption = select.querySelector('option[value="random"]');
+    for (const { value, label } of fontStyles) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.insertBefore(option, randomOption);
+    }
+    select.value = defaults.fontStyle;
+    
+    if (elements.styleFallbackSelect) {
+      for (const { value, label } of styleFallbackPolicies) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        elements.styleFallbackSelect.appendChild(option);
+      }
+      elements.styleFallbackSelect.value = defaults.styleFallback;
+    }
+  }
+
+  populateStyleOptions();
+
+  /**
+   * Show beside each style how much of the alphabet it has photos for in the
+   * selected location. Styles without any photos can't be picked (unless a
+   * shared link already selected one).
+   */
+  function updateStyleCoverage() {
+    const select = elements.fontStyleSelect;
+    if (!select) return;
+    
+    const coverage = assetManager.getStyleCoverage(elements.locationSelect?.value || defaults.city);
+    for (const { value, label } of fontStyles) {
+      const option = select.querySelector(`option[value="${value}"]`);
+      const { covered, total, ratio } = coverage[value];
+      if (!option) continue;
+      
+      option.textContent = covered === 0 ? `${label} (no photos)` : `${label} (${Math.round(ratio * 100)}%)`;
+      option.title = `${covered} of ${total} letters have photos`;
+      option.disabled = covered === 0 && select.value !== value;
+    }
+  }
+
+  /**
+   * Fill the Location dropdown from the city packs listed in the asset manifest.
+   */
+  function populateLocationOptions() {
+    const select = elements.locationSelect;
+    if (!select) return;
+    
+    const cityPacks = assetManager.getCities();
+    if (cityPacks.length === 0) return;
+    
+    select.innerHTML = '';
+    for (const { code, name } of cityPacks) {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = name;
+      select.appendChild(option);
+    }
+    
+    const mixedOption = document.createElement('option');
+    mixedOption.value = 'mixed';
+    mixedOption.textContent = 'Mixed Cities';
+    select.appendChild(mixedOption);
+    
+    select.value = cityPacks.some(c => c.code === defaults.city) ? defaults.city : cityPacks[0].code;
+    updateCityAttribution();
+  }
+
+  /**
+   * Show the selected city pack's coverage and photo credit.
+   */
+  function updateCityAttribution() {
+    if (!elements.cityAttribution) return;
+    
+    const location = elements.locationSelect?.value;
+    const pack = assetManager.getCities().find(c => c.code === location);
+    if (pack) {
+      elements.cityAttribution.textContent = [pack.coverage, pack.attribution].filter(Boolean).join(' · ');
+    } else {
+      elements.cityAttribution.textContent = location === 'mixed' ? 'Each letter from a random city pack' : '';
+    }
+  }
+
+  populateLocationOptions();
+  updateStyleCoverage();
+
+  /**
+   * Fill the poster size, theme and print resolution dropdowns from config.
+   */
+  function populatePrintOptions() {
+    if (elements.canvasFormatSelect) {
+      for (const [value, { label }] of Object.entries(canvasFormats)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        elements.canvasFormatSelect.appendChild(option);
+      }
+      elements.canvasFormatSelect.value = currentCanvasFormat;
+    }
+    
+    if (elements.themeSelect) {
+      for (const [value, { label }] of Object.entries(themes)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        elements.themeSelect.appendChild(option);
+      }
+      elements.themeSelect.value = defaults.theme;
+    }
+    
+    if (elements.printDpiSelect) {
+      for (const dpi of printOptions.dpiOptions) {
+        const option = document.createElement('option');
+        option.value = String(dpi);
+        option.textContent = `${dpi} DPI`;
+        elements.printDpiSelect.appendChild(option);
+      }
+      elements.printDpiSelect.value = String(printOptions.defaultDpi);
+    }
+  }
+
+  populatePrintOptions();
+
+  /**
+   * Select an option only if the dropdown has it.
+   */
+  function setSelectValue(select, value) {
+    if (select && Array.from(select.options).some(option => option.value === value)) {
+      select.value = value;
+    }
+  }
+
+  /**
+   * Apply a canvas format's size class to the canvas container.
+   */
+  function applyCanvasFormat(format) {
+    const formatConfig = canvasFormats[format];
+    if (!formatConfig || !elements.canvasContainer) return;
+    
+    for (const { className } of Object.values(canvasFormats)) {
+      elements.canvasContainer.classList.remove(className);
+    }
+    elements.canvasContainer.classList.add(formatConfig.className);
+    currentCanvasFormat = format;
+    setSelectValue(elements.canvasFormatSelect, format);
+    renderer.setCanvasFormat(format);
+  }
+
+  /**
+   * Set a range slider's limits and default from a config.typeScale entry.
+   */
+  function configureRange(slider, { min, max, step, default: value }) {
+    if (!slider) return;
+    Object.assign(slider, { min, max, step });
+    slider.value = value;
+  }
+
+  /**
+   * Apply the size, line height, padding and fit controls to the renderer.
+   */
+  function applyTypeScale() {
+    const fit = elements.fitToCanvasCheckbox?.checked ?? defaults.fitToCanvas;
+    const size = parseFloat(elements.fontSizeSlider?.value) || defaults.fontSize;
+    const lineHeight = parseFloat(elements.lineHeightSlider?.value) || defaults.lineHeight;
+    const padding = parseFloat(elements.paddingSlider?.value) || 0;
+    
+    if (elements.fontSizeSlider) elements.fontSizeSlider.disabled = fit;
+    if (elements.fontSizeValue) elements.fontSizeValue.textContent = fit ? 'fit to poster' : `${size}px`;
+    if (elements.lineHeightValue) elements.lineHeightValue.textContent = `${lineHeight.toFixed(2)}×`;
+    if (elements.paddingValue) elements.paddingValue.textContent = `${padding.toFixed(2)}×`;
+    
+    renderer.setTypeScale({ size, lineHeight, padding, fit });
+  }
+
+  /**
+   * Apply line and block alignment from the alignment selects to the renderer.
+   */
+  function applyAlignment() {
+    renderer.setAlignment({
+      align: elements.textAlignSelect?.value || defaults.textAlign,
+      verticalAlign: elements.verticalAlignSelect?.value || defaults.verticalAlign
+    });
+  }
+
+  /**
+   * Apply tracking and optical kerning from the spacing controls to the renderer.
+   */
+  function applySpacing() {
+    const tracking = parseInt(elements.trackingSlider?.value, 10) || 0;
+    if (elements.trackingValue) elements.trackingValue.textContent = tracking;
+    renderer.setTracking(tracking);
+    renderer.setOpticalKerning(elements.opticalKerningCheckbox?.checked ?? defaults.opticalKerning);
+  }
+
+  /**
+   * Read the photo treatment from the sidebar. The level slider edits the
+   * brightness threshold or the key tolerance, depending on the knockout mode.
+   */
+  function getProcessing() {
+    const knockout = elements.knockoutSelect?.value || DEFAULT_PROCESSING.knockout;
+    const level = parseInt(elements.knockoutLevelSlider?.value, 10);
+    return {
+      ...processing,
+      levels: elements.autoLevelsCheckbox?.checked ?? DEFAULT_PROCESSING.levels,
+      tone: elements.photoToneSelect?.value || DEFAULT_PROCESSING.tone,
+      duotoneDark: elements.duotoneDarkInput?.value || DEFAULT_PROCESSING.duotoneDark,
+      duotoneLight: elements.duotoneLightInput?.value || DEFAULT_PROCESSING.duotoneLight,
+      knockout,
+      // The slider still shows the previous mode's level right after a mode switch
+      ...(knockout !== 'off' && knockout === processing.knockout && Number.isFinite(level)
+        ? { [knockout === 'key' ? 'tolerance' : 'threshold']: level }
+        : {})
+    };
+  }
+
+  /**
+   * Show the photo treatment settings in the sidebar.
+   */
+  function showProcessing(settings) {
+    if (elements.autoLevelsCheckbox) elements.autoLevelsCheckbox.checked = settings.levels;
+    setSelectValue(elements.photoToneSelect, settings.tone);
+    if (elements.duotoneDarkInput) elements.duotoneDarkInput.value = settings.duotoneDark;
+    if (elements.duotoneLightInput) elements.duotoneLightInput.value = settings.duotoneLight;
+    setSelectValue(elements.knockoutSelect, settings.knockout);
+    if (elements.duotoneColors) elements.duotoneColors.hidden = settings.tone !== 'duotone';
+
+    const isKey = settings.knockout === 'key';
+    if (elements.knockoutLevelControl) elements.knockoutLevelControl.hidden = settings.knockout === 'off';
+    if (elements.knockoutLevelLabel) elements.knockoutLevelLabel.textContent = isKey ? 'Tolerance' : 'Threshold';
+    const level = isKey ? settings.tolerance : settings.threshold;
+    if (elements.knockoutLevelSlider) elements.knockoutLevelSlider.value = level;
+    if (elements.knockoutLevelValue) elements.knockoutLevelValue.textContent = level;
+  }
+
+  /**
+   * Apply the photo treatment from the sidebar to the renderer.
+   */
+  function applyProcessing() {
+    processing = getProcessing();
+    showProcessing(processing);
+    renderer.setProcessing(processing);
+  }
+
+  /**
+   * Collect the full generator state from the sidebar and canvas.
+   */
+  function getGeneratorState() {
+    return {
+      text: elements.userTextInput?.value || '',
+      style: elements.fontStyleSelect?.value || defaults.fontStyle,
+      city: elements.locationSelect?.value || defaults.city,
+      caseOption: elements.caseOptionSelect?.value || defaults.caseOption,
+      styleFallback: elements.styleFallbackSelect?.value || defaults.styleFallback,
+      size: elements.fontSizeSlider?.value || String(defaults.fontSize),
+      lineHeight: elements.lineHeightSlider?.value || String(defaults.lineHeight),
+      padding: elements.paddingSlider?.value || String(defaults.padding),
+      fit: (elements.fitToCanvasCheckbox?.checked ?? defaults.fitToCanvas) ? '1' : '0',
+      format: currentCanvasFormat,
+      theme: elements.themeSelect?.value || defaults.theme,
+      align: elements.textAlignSelect?.value || defaults.textAlign,
+      verticalAlign: elements.verticalAlignSelect?.value || defaults.verticalAlign,
+      tracking: elements.trackingSlider?.value || String(defaults.tracking),
+      kerning: (elements.opticalKerningCheckbox?.checked ?? defaults.opticalKerning) ? 'optical' : 'off',
+      seed: elements.seedInput?.value.trim() || '',
+      processing,
+      locks: pendingLocks || getLockedLetters()
+    };
+  }
+
+  /**
+   * Mirror the generator state into the URL so it can be bookmarked or shared.
+   */
+  function syncURL() {
+    const query = encodeState(getGeneratorState());
+    window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+  }
+
+  /**
+   * Restore the sidebar from state encoded in the URL.
+   */
+  function restoreStateFromURL() {
+    const state = decodeState(window.location.search);
+    logger.log('Restoring state from URL:', state);
+    
+    if (elements.userTextInput) elements.userTextInput.value = state.text;
+    setSelectValue(elements.fontStyleSelect, state.style);
+    setSelectValue(elements.locationSelect, state.city);
+    setSelectValue(elements.caseOptionSelect, state.caseOption);
+    setSelectValue(elements.styleFallbackSelect, state.styleFallback);
+    if (elements.seedInput) elements.seedInput.value = state.seed || generateSeed();
+    if (elements.fontSizeSlider) elements.fontSizeSlider.value = state.size;
+    if (elements.lineHeightSlider) elements.lineHeightSlider.value = state.lineHeight;
+    if (elements.paddingSlider) elements.paddingSlider.value = state.padding;
+    if (elements.fitToCanvasCheckbox) elements.fitToCanvasCheckbox.checked = state.fit === '1';
+    applyTypeScale();
+    applyCanvasFormat(state.format);
+    setSelectValue(elements.themeSelect, state.theme);
+    renderer.setTheme(elements.themeSelect?.value || defaults.theme);
+    setSelectValue(elements.textAlignSelect, state.align);
+    setSelectValue(elements.verticalAlignSelect, state.verticalAlign);
+    applyAlignment();
+    if (elements.trackingSlider) elements.trackingSlider.value = state.tracking;
+    if (elements.opticalKerningCheckbox) elements.opticalKerningCheckbox.checked = state.kerning !== 'off';
+    applySpacing();
+    processing = state.processing;
+    showProcessing(processing);
+    renderer.setProcessing(processing);
+    updateCityAttribution();
+    updateStyleCoverage();
+    
+    pendingLocks = state.locks;
+  }
+
+  showProcessing(processing);
+  configureRange(elements.fontSizeSlider, typeScale.size);
+  configureRange(elements.lineHeightSlider, typeScale.lineHeight);
+  configureRange(elements.paddingSlider, typeScale.padding);
+  applyTypeScale();
+
+  if (hasState(window.location.search)) {
+    restoreStateFromURL();
+  } else if (elements.seedInput) {
+    // Every layout starts from a seed so it can be reproduced later
+    elements.seedInput.value = generateSeed();
+  }
 
   // Disable buttons initially
   if (elements.exportBtn) elements.exportBtn.disabled = true;
+  if (elements.exportSvgBtn) elements.exportSvgBtn.disabled = true;
+  if (elements.printPngBtn) elements.printPngBtn.disabled = true;
+  if (elements.printPdfBtn) elements.printPdfBtn.disabled = true;
   if (elements.shareBtn) elements.shareBtn.disabled = true;
 
   /**
@@ -40,6 +442,7 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   function showLoading() {
     logger.log('Showing loading indicator');
+    loadingShown = true;
     const loadingEl = document.createElement('div');
     loadingEl.className = 'loading-indicator';
     loadingEl.innerHTML = `
@@ -63,6 +466,7 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   function hideLoading() {
     logger.log('Hiding loading indicator');
+    loadingShown = false;
     if (elements.outputContainer) {
       elements.outputContainer.innerHTML = '';
     }
@@ -88,10 +492,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   /**
    * Update the canvas with new text and settings.
+   * Incremental updates (typing) keep the letters whose character is unchanged
+   * and leave the canvas in place instead of showing the loading indicator.
+   * A newer call aborts this one: its letters are never rendered.
    */
-  async function updateCanvas() {
+  async function updateCanvas({ incremental = false } = {}) {
+    currentGeneration?.abort();
+    const generation = new AbortController();
+    currentGeneration = generation;
+    const { signal } = generation;
+    
     try {
-      showLoading();
+      if (!incremental) showLoading();
       logger.log('Starting typography generation');
       
       // Get input values with fallbacks
@@ -99,18 +511,22 @@ document.addEventListener('DOMContentLoaded', async () => {
       const style = elements.fontStyleSelect?.value || defaults.fontStyle;
       const location = elements.locationSelect?.value || defaults.city;
       const caseOption = elements.caseOptionSelect?.value || defaults.caseOption;
+      const seed = elements.seedInput?.value.trim() || generateSeed();
       
-      // Update input field if needed
+      // Update input fields if needed
       if (elements.userTextInput && !elements.userTextInput.value.trim()) {
         elements.userTextInput.value = inputText;
       }
+      if (elements.seedInput && !elements.seedInput.value.trim()) {
+        elements.seedInput.value = seed;
+      }
       
-      logger.log('Input values:', { text: inputText, style, city: location, caseOption });
+      logger.log('Input values:', { text: inputText, style, city: location, caseOption, seed });
       
-      // Special handling for random mix
-      if (style === 'random') {
-        logger.log('🎲 Random Mix selected - generating mixed typography styles');
-        // Enable debug mode to show style distribution
+      // Special handling for random mix and mixed cities
+      if (style === 'random' || location === 'mixed') {
+        logger.log('🎲 Random Mix or Mixed Cities selected - varying glyphs per letter');
+        // Enable debug mode to show style and city distribution
         renderer.setDebugMode(true);
       } else {
         // Disable debug mode for single styles (unless manually enabled)
@@ -118,22 +534,45 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
       
       try {
-        // Generate letter array
-        const letterArray = await typographyManager.getLettersFromText(inputText, {
+        const options = {
           style,
           city: location,
-          caseOption
+          caseOption,
+          styleFallback: elements.styleFallbackSelect?.value || defaults.styleFallback,
+          seed
+        };
+        const optionsKey = JSON.stringify(options);
+        
+        // Generate letter array, keeping locked letters (and unchanged ones when typing)
+        const letterArray = await typographyManager.getLettersFromText(inputText, {
+          ...options,
+          locked: pendingLocks || getLockedLetters(),
+          previous: incremental && optionsKey === currentOptionsKey ? currentLetters : [],
+          signal
         });
+        if (signal.aborted) return;
         
         // Render the letters
-        renderer.renderLetters(letterArray);
+        pendingLocks = null;
+        currentLetters = letterArray;
+        currentOptionsKey = optionsKey;
+        selectGlyph(-1, null);
+        renderer.renderLetters(letterArray, { signal });
+        syncURL();
         
         // Enable export buttons
         if (elements.exportBtn) elements.exportBtn.disabled = false;
+        if (elements.exportSvgBtn) elements.exportSvgBtn.disabled = false;
+        if (elements.printPngBtn) elements.printPngBtn.disabled = false;
+        if (elements.printPdfBtn) elements.printPdfBtn.disabled = false;
         if (elements.shareBtn) elements.shareBtn.disabled = false;
         
         logger.log('Render complete');
       } catch (error) {
+        if (signal.aborted) {
+          logger.log('Generation superseded by a newer one');
+          return;
+        }
         logger.error('Failed to generate typography:', error);
         showErrorMessage(`Failed to generate typography: ${error.message}`);
       }
@@ -141,118 +580,72 @@ document.addEventListener('DOMContentLoaded', async () => {
       logger.error('Fatal error in updateCanvas:', error);
       showErrorMessage('A fatal error occurred while updating the canvas.');
     } finally {
-      hideLoading();
+      if (currentGeneration === generation && loadingShown) hideLoading();
     }
   }
 
   /**
-   * Test asset paths and show diagnostics.
+   * Get the locked letters on the canvas, keyed by index.
    */
-  async function testAssetPaths() {
-    logger.log('Running asset path test...');
-    
-    const testResults = document.createElement('div');
-    testResults.className = 'test-results';
-    testResults.innerHTML = `
-      <h3>Testing Asset Paths</h3>
-      <p>Testing asset availability...</p>
-      <pre id="test-log" style="max-height: 300px; overflow: auto; background: #eee; padding: 10px;"></pre>
-    `;
-    
-    if (elements.outputContainer) {
-      elements.outputContainer.innerHTML = '';
-      elements.outputContainer.appendChild(testResults);
-    }
-    
-    const testLog = document.getElementById('test-log');
-    if (!testLog) return;
-    
-    function logTest(message) {
-      const timestamp = new Date().toISOString().substring(11, 23);
-      testLog.innerHTML += `[${timestamp}] ${message}\n`;
-      testLog.scrollTop = testLog.scrollHeight;
-    }
-    
-    logTest('Starting asset tests...');
-    
-    // Test sample letters
-    const testCases = [
-      { char: 'A', style: 'sans', case: 'upper', city: 'NYC' },
-      { char: 'a', style: 'sans', case: 'lower', city: 'NYC' },
-      { char: '1', style: 'sans', case: 'upper', city: 'NYC' },
-      { char: '.', style: 'sans', case: 'upper', city: 'NYC' }
-    ];
-    
-    let foundAssets = false;
-    
-    for (const testCase of testCases) {
-      try {
-        logTest(`Testing: ${testCase.char} (${testCase.style}-${testCase.case})`);
-        const url = await assetManager.get(testCase);
-        
-        if (url.startsWith('data:')) {
-          logTest(`→ Fallback SVG generated`);
-        } else {
-          logTest(`→ Asset found: ${url}`);
-          foundAssets = true;
-        }
-      } catch (error) {
-        logTest(`→ Error: ${error.message}`);
-      }
-    }
-    
-    // Show summary
-    const summaryClass = foundAssets ? 'success' : 'warning';
-    const summaryMessage = foundAssets 
-      ? 'Some assets found! The application is working correctly.'
-      : 'No assets found. Using SVG fallbacks for all letters.';
-    
-    testResults.insertAdjacentHTML('afterbegin', `
-      <div class="${summaryMessage.includes('working') ? 'success' : 'warning'}-message">
-        <strong>${foundAssets ? 'Success!' : 'Notice:'}</strong> ${summaryMessage}
-      </div>
-    `);
+  function getLockedLetters() {
+    const locked = {};
+    currentLetters.forEach((letter, index) => {
+      if (letter.locked) locked[index] = letter;
+    });
+    return locked;
+  }
+
+  /**
+   * Select a glyph on the canvas and show its toolbar (-1 hides it).
+   */
+  function selectGlyph(index, box) {
+    selectedLetterIndex = index;
+    renderer.setSelectedIndex(index);
     
-    // Add sample generation button
-    testResults.insertAdjacentHTML('beforeend', `
-      <div style="margin-top: 10px;">
-        <button id="test-sample-btn" style="padding: 8px 16px;">Generate Test Sample</button>
-      </div>
-    `);
+    const toolbar = elements.glyphToolbar;
+    const canvasEl = renderer.canvas?.elt;
+    if (!toolbar) return;
     
-    const testSampleBtn = document.getElementById('test-sample-btn');
-    if (testSampleBtn) {
-      testSampleBtn.addEventListener('click', updateCanvas);
+    if (index < 0 || !box || !canvasEl) {
+      toolbar.hidden = true;
+      return;
     }
     
-    // Show stats
-    const stats = assetManager.getStats();
-    logTest(`\nStatistics:`);
-    logTest(`Requested: ${stats.requested}, Loaded: ${stats.loaded}, Failed: ${stats.failed}`);
-    logTest(`Cache size: ${stats.cacheSize}, Fallbacks: ${stats.fallbacks}`);
+    // Canvas may be scaled down by CSS
+    const scale = canvasEl.clientWidth / canvasEl.width || 1;
+    toolbar.style.left = `${canvasEl.offsetLeft + box.x * scale}px`;
+    toolbar.style.top = `${canvasEl.offsetTop + (box.y + box.h) * scale + 6}px`;
+    toolbar.querySelector('[data-action="lock"]').textContent =
+      currentLetters[index]?.locked ? 'Unlock' : 'Lock';
+    toolbar.hidden = false;
   }
 
   /**
-   * Update font size.
+   * Lock, re-roll or cycle the selected glyph.
    */
-  function updateFontSize() {
-    const sizes = ['SMALL', 'MEDIUM', 'LARGE'];
-    const currentSize = elements.fontSizeToggle?.textContent || 'SMALL';
-    const currentIndex = sizes.indexOf(currentSize);
-    const nextIndex = (currentIndex + 1) % sizes.length;
-    const nextSize = sizes[nextIndex];
+  async function handleGlyphAction(action) {
+    const index = selectedLetterIndex;
+    const letter = currentLetters[index];
+    if (!letter) return;
     
-    if (elements.fontSizeToggle) {
-      elements.fontSizeToggle.textContent = nextSize;
+    try {
+      if (action === 'lock') {
+        currentLetters = currentLetters.map((lt, i) => (i === index ? { ...lt, locked: !lt.locked } : lt));
+      } else {
+        currentLetters = await typographyManager.rebuildLetter(currentLetters, index, {
+          mode: action,
+          city: elements.locationSelect?.value || defaults.city,
+          styleFallback: elements.styleFallbackSelect?.value || defaults.styleFallback
+        });
+      }
+      
+      await renderer.updateLetter(index, currentLetters[index]);
+      selectGlyph(index, renderer.glyphBoxes.find(box => box.index === index) || null);
+      syncURL();
+    } catch (error) {
+      logger.error(`Glyph ${action} failed:`, error);
+      showErrorMessage(`Could not update that letter: ${error.message}`);
     }
-    
-    currentFontSize = nextSize.toLowerCase();
-    renderer.setFontSize(currentFontSize);
-    
-    logger.log(`Font size changed to: ${nextSize}`);
-    
-    // Re-render with new size
-    updateCanvas();
   }
 
   /**
@@ -273,59 +666,286 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   /**
-   * Share canvas in new window.
+   * Export the composition as a vector SVG.
    */
-  function shareImage() {
+  async function exportSVG() {
     if (!renderer?.canvas?.elt) {
       showErrorMessage('The typography canvas is not ready yet. Please generate typography first.');
       return;
     }
     
     try {
-      const dataURL = renderer.canvas.elt.toDataURL('image/png');
-      const win = window.open();
-      if (win) {
-        win.document.body.innerHTML = `<img src="${dataURL}" alt="Shared Typography" />`;
-      } else {
-        showErrorMessage('Could not open a new window. Please check your popup blocker settings.');
+      await renderer.exportAsSVG();
+    } catch (error) {
+      logger.error('SVG export failed:', error);
+      showErrorMessage('Could not export the SVG. Please try again.');
+    }
+  }
+
+  /**
+   * Export a print-resolution PNG or PDF of the selected poster format.
+   */
+  async function exportForPrint(fileType) {
+    if (!renderer?.canvas?.elt) {
+      showErrorMessage('The typography canvas is not ready yet. Please generate typography first.');
+      return;
+    }
+    
+    const dpi = Number(elements.printDpiSelect?.value) || printOptions.defaultDpi;
+    
+    try {
+      const geometry = await renderer.exportForPrint({
+        fileType,
+        format: currentCanvasFormat,
+        dpi,
+        bleed: elements.printBleedCheckbox?.checked ? printOptions.bleed : 0,
+        safeMargin: elements.printSafeMarginCheckbox?.checked ? printOptions.safeMargin : 0
+      });
+      
+      if (geometry && geometry.dpi < dpi) {
+        showErrorMessage(`This poster size is too large to render at ${dpi} DPI in the browser; exported at ${geometry.dpi} DPI instead.`, true);
       }
     } catch (error) {
-      logger.error('Share failed:', error);
-      showErrorMessage('Could not share the typography. Please try again.');
+      logger.error('Print export failed:', error);
+      showErrorMessage('Could not export the print file. Please try a lower resolution.');
+    }
+  }
+
+  /**
+   * Share a link that reopens the generator in its current state.
+   */
+  async function shareImage() {
+    syncURL();
+    const shareURL = window.location.href;
+    
+    try {
+      await navigator.clipboard.writeText(shareURL);
+      showMessage(elements.outputContainer, 'Link copied to clipboard. Anyone opening it gets this exact layout.', 'info');
+    } catch (error) {
+      // Clipboard access can be denied; let the user copy it by hand
+      logger.warn('Clipboard write failed:', error);
+      window.prompt('Copy this link to share the layout:', shareURL);
     }
   }
 
   // Event listeners
   if (elements.generateBtn) {
-    elements.generateBtn.addEventListener('click', updateCanvas);
+    elements.generateBtn.addEventListener('click', () => updateCanvas());
   }
   
   if (elements.exportBtn) {
     elements.exportBtn.addEventListener('click', exportImage);
   }
   
+  if (elements.exportSvgBtn) {
+    elements.exportSvgBtn.addEventListener('click', exportSVG);
+  }
+  
+  if (elements.printPngBtn) {
+    elements.printPngBtn.addEventListener('click', () => exportForPrint('png'));
+  }
+  
+  if (elements.printPdfBtn) {
+    elements.printPdfBtn.addEventListener('click', () => exportForPrint('pdf'));
+  }
+  
+  if (elements.canvasFormatSelect) {
+    elements.canvasFormatSelect.addEventListener('change', () => {
+      applyCanvasFormat(elements.canvasFormatSelect.value);
+      syncURL();
+    });
+  }
+  
+  if (elements.themeSelect) {
+    elements.themeSelect.addEventListener('change', () => {
+      renderer.setTheme(elements.themeSelect.value);
+      syncURL();
+    });
+  }
+  
+  if (elements.trackingSlider) {
+    elements.trackingSlider.addEventListener('input', () => {
+      applySpacing();
+      syncURL();
+    });
+  }
+  
+  if (elements.opticalKerningCheckbox) {
+    elements.opticalKerningCheckbox.addEventListener('change', () => {
+      applySpacing();
+      syncURL();
+    });
+  }
+  
+  // Reprocessing every photo is heavy, so slider and color drags settle first
+  const debouncedProcessing = debounce(() => {
+    applyProcessing();
+    syncURL();
+  }, 200);
+  
+  for (const control of [elements.autoLevelsCheckbox, elements.photoToneSelect, elements.knockoutSelect]) {
+    control?.addEventListener('change', () => {
+      applyProcessing();
+      syncURL();
+    });
+  }
+  
+  for (const control of [elements.duotoneDarkInput, elements.duotoneLightInput, elements.knockoutLevelSlider]) {
+    control?.addEventListener('input', () => {
+      if (control === elements.knockoutLevelSlider && elements.knockoutLevelValue) {
+        elements.knockoutLevelValue.textContent = control.value;
+      }
+      debouncedProcessing();
+    });
+  }
+  
+  for (const control of [elements.textAlignSelect, elements.verticalAlignSelect]) {
+    control?.addEventListener('change', () => {
+      applyAlignment();
+      syncURL();
+    });
+  }
+  
   if (elements.shareBtn) {
     elements.shareBtn.addEventListener('click', shareImage);
   }
   
-  if (elements.testPathsBtn) {
-    elements.testPathsBtn.addEventListener('click', testAssetPaths);
+  // Coverage report: which glyphs each city pack still needs photos for
+  const coverageDashboard = new CoverageDashboard(elements.outputContainer);
+  
+  if (elements.coverageBtn) {
+    elements.coverageBtn.addEventListener('click', () => {
+      coverageDashboard.open(elements.locationSelect?.value).catch(error => {
+        logger.error('Coverage report failed:', error);
+        showErrorMessage('Could not build the coverage report.');
+      });
+    });
+  }
+  
+  for (const control of [elements.fontSizeSlider, elements.lineHeightSlider, elements.paddingSlider]) {
+    control?.addEventListener('input', () => {
+      applyTypeScale();
+      syncURL();
+    });
+  }
+  
+  if (elements.fitToCanvasCheckbox) {
+    elements.fitToCanvasCheckbox.addEventListener('change', () => {
+      applyTypeScale();
+      syncURL();
+    });
+  }
+  
+  if (elements.locationSelect) {
+    elements.locationSelect.addEventListener('change', updateCityAttribution);
+  }
+  
+  // Coverage depends on the location, and only the selected style may be one without photos
+  for (const control of [elements.fontStyleSelect, elements.locationSelect]) {
+    control?.addEventListener('change', updateStyleCoverage);
+  }
+  
+  // Keep the URL in sync as controls change
+  for (const control of [elements.fontStyleSelect, elements.locationSelect, elements.caseOptionSelect, elements.styleFallbackSelect]) {
+    control?.addEventListener('change', syncURL);
+  }
+  for (const control of [elements.userTextInput, elements.seedInput]) {
+    control?.addEventListener('input', syncURL);
   }
   
-  if (elements.fontSizeToggle) {
-    elements.fontSizeToggle.addEventListener('click', updateFontSize);
+  // Clicking a glyph on the canvas opens its lock / re-roll toolbar
+  renderer.onLetterClick(selectGlyph);
+
+  // Metadata tab: tag crop, baseline and x-height on the manifest's photos
+  const metadataEditor = new MetadataEditor({
+    citySelect: document.getElementById('meta-city'),
+    glyphSelect: document.getElementById('meta-glyph'),
+    styleSelect: document.getElementById('meta-style'),
+    photoSelect: document.getElementById('meta-photo'),
+    pathLabel: document.getElementById('meta-path'),
+    tools: document.getElementById('meta-tools'),
+    advanceInput: document.getElementById('meta-advance'),
+    readout: document.getElementById('meta-readout'),
+    resetBtn: document.getElementById('meta-reset-btn'),
+    sidecarBtn: document.getElementById('meta-sidecar-btn'),
+    patchBtn: document.getElementById('meta-patch-btn'),
+    frame: document.getElementById('metadata-frame'),
+    image: document.getElementById('metadata-image'),
+    cropBox: document.getElementById('metadata-crop'),
+    baselineGuide: document.getElementById('metadata-baseline'),
+    xHeightGuide: document.getElementById('metadata-xheight')
+  });
+  let metadataEditorOpened = false;
+
+  /**
+   * Switch the sidebar and canvas area between the generator and the metadata editor.
+   */
+  function showTab(name) {
+    for (const tab of elements.sidebarTabs) {
+      tab.classList.toggle('active', tab.dataset.tab === name);
+    }
+    
+    const isMetadata = name === 'metadata';
+    if (elements.generatorPanel) elements.generatorPanel.hidden = isMetadata;
+    if (elements.metadataPanel) elements.metadataPanel.hidden = !isMetadata;
+    if (elements.canvasContainer) elements.canvasContainer.hidden = isMetadata;
+    if (elements.metadataStage) elements.metadataStage.hidden = !isMetadata;
+    
+    if (isMetadata) {
+      selectGlyph(-1);
+      if (!metadataEditorOpened) {
+        metadataEditorOpened = true;
+        metadataEditor.open();
+      }
+    } else {
+      // Regenerate so edited metrics show up on the poster
+      updateCanvas();
+    }
   }
 
-  // Auto-generate on text input (debounced)
+  for (const tab of elements.sidebarTabs) {
+    tab.addEventListener('click', () => {
+      if (!tab.classList.contains('active')) showTab(tab.dataset.tab);
+    });
+  }
+  
+  if (elements.glyphToolbar) {
+    elements.glyphToolbar.addEventListener('click', event => {
+      const action = event.target.closest('button')?.dataset.action;
+      if (action) handleGlyphAction(action);
+    });
+  }
+
+  /**
+   * Pick a new seed and regenerate.
+   */
+  function rerollSeed() {
+    if (elements.seedInput) {
+      elements.seedInput.value = generateSeed();
+    }
+    updateCanvas();
+  }
+  
+  if (elements.rerollSeedBtn) {
+    elements.rerollSeedBtn.addEventListener('click', rerollSeed);
+  }
+
+  // Auto-generate on text or seed input (debounced)
+  const debouncedUpdate = debounce(() => updateCanvas({ incremental: true }), 500);
   if (elements.userTextInput) {
-    const debouncedUpdate = debounce(updateCanvas, 500);
     elements.userTextInput.addEventListener('input', debouncedUpdate);
   }
+  if (elements.seedInput) {
+    elements.seedInput.addEventListener('input', debouncedUpdate);
+  }
 
   // Initial render
   setTimeout(() => {
     updateCanvas();
   }, 500);
   
+  // Cache the app and its photos for offline use
+  registerServiceWorker();
+  
   logger.log('Application initialization complete');
 });
\ No newline at end of file
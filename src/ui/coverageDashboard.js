@@ -0,0 +1,135 @@
+// StreetType coverage dashboard: which glyphs each city pack has photos for
+import { assetManager } from '../modules/assetManager.js';
+import { columnLabel, coverageToCSV, coverageToJSON, describeGaps } from '../modules/coverage.js';
+import { createLogger, downloadBlob, escapeXML } from '../modules/utils.js';
+import { debug } from '../modules/config.js';
+
+const logger = createLogger('Coverage', debug.enabled);
+
+/**
+ * CoverageDashboard shows a city's coverage report (see
+ * AssetManager.getCoverageReport) as a matrix of letters against style-cases,
+ * plus numerals and symbols against styles. Each cell shows how many variants
+ * exist; missing and borrowed glyphs are highlighted, and the report can be
+ * downloaded as CSV or JSON as a shot list.
+ */
+export class CoverageDashboard {
+  /**
+   * @param {HTMLElement} container - Element the dashboard is rendered into
+   */
+  constructor(container) {
+    this.container = container;
+    this.report = null;
+    this.root = null;
+  }
+
+  /**
+   * Show the dashboard for a city (the first city pack when omitted).
+   */
+  async open(city) {
+    await assetManager.loadManifest();
+    const cityPacks = assetManager.getCities();
+    const code = cityPacks.some(pack => pack.code === city) ? city : cityPacks[0]?.code;
+
+    this.root = document.createElement('div');
+    this.root.className = 'test-results coverage-dashboard';
+    this.root.innerHTML = `
+      <div class="coverage-header">
+        <h3>Photo Coverage</h3>
+        <select class="coverage-city">
+          ${cityPacks.map(pack => `<option value="${escapeXML(pack.code)}">${escapeXML(pack.name)}</option>`).join('')}
+        </select>
+        <button type="button" data-export="csv">Export CSV</button>
+        <button type="button" data-export="json">Export JSON</button>
+        <button type="button" data-close>Close</button>
+      </div>
+      <div class="coverage-body"></div>
+    `;
+
+    const citySelect = this.root.querySelector('.coverage-city');
+    citySelect.value = code;
+    citySelect.addEventListener('change', () => this.show(citySelect.value));
+    this.root.addEventListener('click', event => {
+      const button = event.target.closest('button');
+      if (button?.dataset.export) this.download(button.dataset.export);
+      if (button?.hasAttribute('data-close')) this.close();
+    });
+
+    this.container.innerHTML = '';
+    this.container.appendChild(this.root);
+    await this.show(code);
+  }
+
+  /**
+   * Build and render the report for a city.
+   */
+  async show(city) {
+    this.report = await assetManager.getCoverageReport(city);
+    logger.log(`Coverage for ${city}:`, this.report.columns);
+    this.root.querySelector('.coverage-body').innerHTML = this._renderReport(this.report);
+  }
+
+  close() {
+    this.container.innerHTML = '';
+    this.root = null;
+  }
+
+  /**
+   * Download the current report as 'csv' or 'json'.
+   */
+  download(format) {
+    if (!this.report) return;
+    const filename = `coverage-${this.report.city}.${format}`;
+    const blob = format === 'csv'
+      ? new Blob([coverageToCSV(this.report)], { type: 'text/csv' })
+      : new Blob([coverageToJSON(this.report)], { type: 'application/json' });
+    downloadBlob(blob, filename);
+  }
+
+  _renderCell(cell) {
+    const status = cell.variants === 0 ? 'missing' : cell.borrowed ? 'borrowed' : 'ok';
+    const title = cell.folder ? `${cell.folder} (${cell.variants})` : 'No photos';
+    return `<td class="coverage-${status}" title="${escapeXML(title)}">${cell.variants || '—'}</td>`;
+  }
+
+  _renderReport(report) {
+    const gaps = describeGaps(report);
+    const letterColumns = report.columns.filter(column => column.kind === 'letter');
+    const cellsFor = column => report.cells.filter(cell =>
+      cell.kind === column.kind && cell.style === column.style && cell.case === column.case);
+
+    const gapList = gaps.length > 0
+      ? `<ul class="coverage-gaps">${gaps.map(gap => `<li>${escapeXML(gap)}</li>`).join('')}</ul>`
+      : '<p class="success-message">Every glyph has its own photos.</p>';
+
+    // Letters: one row per letter, one column per style-case
+    const columnCells = letterColumns.map(cellsFor);
+    const letterRows = columnCells[0].map((_, row) => `<tr><th>${escapeXML(columnCells[0][row].char)}</th>` +
+      columnCells.map(cells => this._renderCell(cells[row])).join('') + '</tr>').join('');
+    const letterTable = `<table class="coverage-table">
+      <thead><tr><th></th>${letterColumns.map(column =>
+        `<th>${escapeXML(columnLabel(column))}<br><small>${column.covered}/${column.total}</small></th>`).join('')}</tr></thead>
+      <tbody>${letterRows}</tbody>
+    </table>`;
+
+    // Numerals and symbols: one table each, a row per style and a column per glyph
+    const glyphTables = ['number', 'symbol'].map(kind => {
+      const columns = report.columns.filter(column => column.kind === kind);
+      const rows = columns.map(cellsFor);
+      if (rows.length === 0) return '';
+      return `<table class="coverage-table">
+        <thead><tr><th></th>${rows[0].map(cell => `<th>${escapeXML(cell.char)}</th>`).join('')}</tr></thead>
+        <tbody>${columns.map((column, i) => `<tr><th>${escapeXML(columnLabel(column))}<br>` +
+          `<small>${column.covered}/${column.total}</small></th>${rows[i].map(cell => this._renderCell(cell)).join('')}</tr>`).join('')}</tbody>
+      </table>`;
+    }).join('');
+
+    return `${gapList}
+      <p class="coverage-legend">
+        <span class="coverage-ok">own photos</span>
+        <span class="coverage-borrowed">borrowed from another pack</span>
+        <span class="coverage-missing">missing</span>
+      </p>
+      ${letterTable}${glyphTables}`;
+  }
+}
@@ -0,0 +1,301 @@
+// StreetType asset metadata editor: crop, baseline and x-height tagging for glyph photos
+import { assetManager } from '../modules/assetManager.js';
+import { createLogger, downloadBlob } from '../modules/utils.js';
+import { debug } from '../modules/config.js';
+import { metricsPathFor, normalizeMetrics, serializeMetrics } from '../modules/glyphMetrics.js';
+
+const logger = createLogger('MetadataEditor', debug.enabled);
+
+// Option value for shared (not city-scoped) numerals and symbols
+const SHARED_CITY = '';
+
+const KIND_LABELS = {
+  letter: 'Letter',
+  fallback: 'Fallback',
+  number: 'Number',
+  symbol: 'Symbol'
+};
+
+function clamp(n, min = 0, max = 1) {
+  return Math.min(max, Math.max(min, n));
+}
+
+function fillSelect(select, options) {
+  const previous = select.value;
+  select.innerHTML = '';
+  for (const { value, label } of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  if (options.some(option => option.value === previous)) {
+    select.value = previous;
+  }
+}
+
+/**
+ * MetadataEditor browses the photos listed in the asset manifest and edits
+ * their glyph metrics (see glyphMetrics.js) on top of the photo.
+ *
+ * Edits are applied to the loaded manifest right away, so the generator uses
+ * them on its next run, and can be downloaded as a sidecar for the current
+ * photo or as a manifest patch covering every photo edited this session.
+ */
+export class MetadataEditor {
+  /**
+   * @param {Object} elements - DOM elements of the editor panel and stage
+   */
+  constructor(elements) {
+    this.elements = elements;
+    this.folders = [];
+    this.path = null;
+    this.metrics = null;
+    this.tool = 'crop';
+    this.drag = null;
+    this.edits = new Map();
+    this.originals = new Map();
+
+    this._bindEvents();
+  }
+
+  /**
+   * Load the folder list from the manifest and show the first photo.
+   */
+  async open() {
+    await assetManager.loadManifest();
+    this.folders = assetManager.listFolders();
+    logger.log(`Browsing ${this.folders.length} photo folders`);
+
+    const cityCodes = [...new Set(this.folders.map(folder => folder.city ?? SHARED_CITY))];
+    fillSelect(this.elements.citySelect, cityCodes.map(code => ({
+      value: code,
+      label: code === SHARED_CITY ? 'Shared' : code
+    })));
+    this._updateGlyphOptions();
+  }
+
+  _bindEvents() {
+    const { citySelect, glyphSelect, styleSelect, photoSelect, tools, advanceInput, frame } = this.elements;
+
+    citySelect?.addEventListener('change', () => this._updateGlyphOptions());
+    glyphSelect?.addEventListener('change', () => this._updateStyleOptions());
+    styleSelect?.addEventListener('change', () => this._updatePhotoOptions());
+    photoSelect?.addEventListener('change', () => this._selectPhoto());
+
+    tools?.addEventListener('click', event => {
+      const tool = event.target.closest('button')?.dataset.tool;
+      if (tool) this.setTool(tool);
+    });
+
+    advanceInput?.addEventListener('input', () => {
+      const advance = parseFloat(advanceInput.value);
+      if (this.metrics && advance > 0) {
+        this._update({ ...this.metrics, advance });
+      }
+    });
+
+    frame?.addEventListener('pointerdown', event => this._startDrag(event));
+    frame?.addEventListener('pointermove', event => this._moveDrag(event));
+    frame?.addEventListener('pointerup', () => { this.drag = null; });
+    frame?.addEventListener('pointercancel', () => { this.drag = null; });
+
+    this.elements.resetBtn?.addEventListener('click', () => this.reset());
+    this.elements.sidecarBtn?.addEventListener('click', () => this.downloadSidecar());
+    this.elements.patchBtn?.addEventListener('click', () => this.downloadPatch());
+  }
+
+  _matchingFolders() {
+    const city = this.elements.citySelect.value;
+    return this.folders.filter(folder => (folder.city ?? SHARED_CITY) === city);
+  }
+
+  _updateGlyphOptions() {
+    const seen = new Map();
+    for (const { kind, glyph } of this._matchingFolders()) {
+      const value = `${kind}:${glyph ?? ''}`;
+      if (!seen.has(value)) {
+        seen.set(value, { value, label: glyph ? `${KIND_LABELS[kind]} ${glyph}` : KIND_LABELS[kind] });
+      }
+    }
+    fillSelect(this.elements.glyphSelect, [...seen.values()]);
+    this._updateStyleOptions();
+  }
+
+  _updateStyleOptions() {
+    const [kind, glyph] = this.elements.glyphSelect.value.split(':');
+    const folders = this._matchingFolders().filter(folder => folder.kind === kind && (folder.glyph ?? '') === glyph);
+    fillSelect(this.elements.styleSelect, folders.map(folder => ({
+      value: folder.path,
+      label: folder.folder || '—'
+    })));
+    this._updatePhotoOptions();
+  }
+
+  _updatePhotoOptions() {
+    const folder = this.folders.find(f => f.path === this.elements.styleSelect.value);
+    fillSelect(this.elements.photoSelect, (folder?.files || []).map(file => ({
+      value: `${folder.path}/${file}`,
+      label: this.edits.has(`${folder.path}/${file}`) ? `${file} •` : file
+    })));
+    this._selectPhoto();
+  }
+
+  _selectPhoto() {
+    const path = this.elements.photoSelect.value || null;
+    this.path = path;
+    this.elements.pathLabel.textContent = path || 'No photos in the manifest';
+
+    if (!path) {
+      this.metrics = null;
+      this.elements.image.removeAttribute('src');
+      this._render();
+      return;
+    }
+
+    const char = this._glyphChar();
+    this.metrics = normalizeMetrics(assetManager.getMetrics(path), char);
+    this.elements.image.alt = char;
+    this.elements.image.src = path;
+    this._render();
+  }
+
+  /**
+   * The character the current photo shows, for character-dependent defaults.
+   */
+  _glyphChar() {
+    const folder = this.folders.find(f => f.path === this.elements.styleSelect.value);
+    if (!folder?.glyph) return '';
+    const isLower = folder.folder?.endsWith('-lower');
+    return isLower ? folder.glyph.toLowerCase() : folder.glyph;
+  }
+
+  setTool(tool) {
+    this.tool = tool;
+    for (const button of this.elements.tools.querySelectorAll('button')) {
+      button.classList.toggle('active', button.dataset.tool === tool);
+    }
+  }
+
+  /**
+   * Photo position under the pointer as fractions of the photo.
+   */
+  _pointerPosition(event) {
+    const rect = this.elements.image.getBoundingClientRect();
+    return {
+      x: clamp((event.clientX - rect.left) / rect.width),
+      y: clamp((event.clientY - rect.top) / rect.height)
+    };
+  }
+
+  _startDrag(event) {
+    if (!this.metrics) return;
+    event.preventDefault();
+    this.elements.frame.setPointerCapture?.(event.pointerId);
+    this.drag = { origin: this._pointerPosition(event) };
+    this._moveDrag(event);
+  }
+
+  _moveDrag(event) {
+    if (!this.drag || !this.metrics) return;
+    const point = this._pointerPosition(event);
+    const { crop } = this.metrics;
+
+    if (this.tool === 'crop') {
+      const { origin } = this.drag;
+      const x = Math.min(origin.x, point.x);
+      const y = Math.min(origin.y, point.y);
+      const w = Math.abs(point.x - origin.x);
+      const h = Math.abs(point.y - origin.y);
+      // Ignore clicks that haven't been dragged into a rectangle yet
+      if (w < 0.01 || h < 0.01) return;
+      this._update({ ...this.metrics, crop: { x, y, w, h } });
+    } else if (this.tool === 'baseline') {
+      const baseline = clamp((point.y - crop.y) / crop.h);
+      this._update({ ...this.metrics, baseline: baseline || this.metrics.baseline });
+    } else if (this.tool === 'xHeight') {
+      const xHeight = clamp((crop.y + this.metrics.baseline * crop.h - point.y) / crop.h);
+      this._update({ ...this.metrics, xHeight: xHeight || null });
+    }
+  }
+
+  _update(metrics) {
+    if (!this.originals.has(this.path)) {
+      this.originals.set(this.path, assetManager.getMetrics(this.path));
+    }
+    this.metrics = metrics;
+    this.edits.set(this.path, serializeMetrics(metrics));
+    assetManager.setMetrics(this.path, this.edits.get(this.path));
+    this._render();
+  }
+
+  /**
+   * Go back to the metrics the manifest was loaded with (or the defaults).
+   */
+  reset() {
+    if (!this.path) return;
+    const original = this.originals.has(this.path) ? this.originals.get(this.path) : assetManager.getMetrics(this.path);
+    this.edits.delete(this.path);
+    assetManager.setMetrics(this.path, original);
+    this.metrics = normalizeMetrics(original, this._glyphChar());
+    this._render();
+  }
+
+  /**
+   * Position the crop rectangle and guides over the photo, and show the values.
+   */
+  _render() {
+    const { cropBox, baselineGuide, xHeightGuide, advanceInput, readout } = this.elements;
+    const percent = n => `${n * 100}%`;
+
+    if (!this.metrics) {
+      cropBox.hidden = baselineGuide.hidden = xHeightGuide.hidden = true;
+      readout.textContent = '';
+      return;
+    }
+
+    const { crop, baseline, xHeight, advance } = this.metrics;
+    Object.assign(cropBox.style, { left: percent(crop.x), top: percent(crop.y), width: percent(crop.w), height: percent(crop.h) });
+    cropBox.hidden = false;
+
+    const baselineY = crop.y + baseline * crop.h;
+    Object.assign(baselineGuide.style, { left: percent(crop.x), width: percent(crop.w), top: percent(baselineY) });
+    baselineGuide.hidden = false;
+
+    xHeightGuide.hidden = !xHeight;
+    if (xHeight) {
+      Object.assign(xHeightGuide.style, { left: percent(crop.x), width: percent(crop.w), top: percent(baselineY - xHeight * crop.h) });
+    }
+
+    if (document.activeElement !== advanceInput) {
+      advanceInput.value = advance;
+    }
+    readout.textContent = JSON.stringify(serializeMetrics(this.metrics), null, 2);
+  }
+
+  /**
+   * Download the current photo's metrics as its sidecar (XX.json), to be
+   * saved next to the photo.
+   */
+  downloadSidecar() {
+    if (!this.path || !this.metrics) return;
+    const json = JSON.stringify(serializeMetrics(this.metrics), null, 2) + '\n';
+    const filename = metricsPathFor(this.path).split('/').pop();
+    downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+  }
+
+  /**
+   * Download every edit from this session as a manifest patch:
+   * { base, metrics: { <photo path relative to assets/>: metrics } }.
+   * `npm run manifest -- <patch.json>` writes the sidecars and rebuilds the manifest.
+   */
+  downloadPatch() {
+    if (this.edits.size === 0) return;
+    const metrics = {};
+    for (const [path, sidecar] of this.edits) {
+      metrics[path.slice('assets/'.length)] = sidecar;
+    }
+    const patch = { base: assetManager.manifest?.version || '', metrics };
+    downloadBlob(new Blob([JSON.stringify(patch, null, 2) + '\n'], { type: 'application/json' }), 'metrics-patch.json');
+  }
+}
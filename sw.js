@@ -0,0 +1,128 @@
+// StreetType service worker: keeps the app and its glyph photos available offline.
+//
+// The asset manifest and the app's own files are fetched network-first, so
+// edits show up right away, and cached as they load. Photos and sidecars under
+// assets/ are cache-first, in one cache per manifest version: when a rebuilt
+// manifest (npm run manifest) comes in with a new version, the photos cached
+// for the old one are dropped.
+
+const APP_CACHE = 'streettype-app';
+const ASSET_CACHE_PREFIX = 'streettype-assets-';
+
+const scope = new URL(self.registration.scope);
+const manifestUrl = new URL('assets/manifest.json', scope).href;
+const assetsPath = new URL('assets/', scope).pathname;
+
+// Manifest version the asset cache belongs to; read back from the cached
+// manifest when the worker restarts
+let assetVersion = null;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then(cache => cache.addAll([scope.href, new URL('index.html', scope).href]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(self.clients.claim());
+});
+
+/**
+ * Switch the asset cache to a manifest version, deleting the caches of others.
+ */
+async function useVersion(version) {
+  assetVersion = version;
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith(ASSET_CACHE_PREFIX) && name !== ASSET_CACHE_PREFIX + version)
+    .map(name => caches.delete(name)));
+}
+
+async function currentVersion() {
+  if (!assetVersion) {
+    const cached = await caches.match(manifestUrl);
+    if (cached) assetVersion = (await cached.json()).version || null;
+  }
+  return assetVersion;
+}
+
+async function manifestResponse(request) {
+  try {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.ok) {
+      const { version } = await response.clone().json();
+      const cache = await caches.open(APP_CACHE);
+      await cache.put(manifestUrl, response.clone());
+      if (version && version !== assetVersion) await useVersion(version);
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(manifestUrl);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function assetResponse(request) {
+  const version = await currentVersion();
+  // Without a manifest there is nothing to key the cache on
+  if (!version) return fetch(request);
+
+  const cache = await caches.open(ASSET_CACHE_PREFIX + version);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+async function appResponse(request) {
+  try {
+    const response = await fetch(request);
+    // Cross-origin scripts (p5 from the CDN) come back opaque
+    if (response.ok || response.type === 'opaque') {
+      const cache = await caches.open(APP_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+function respond(request) {
+  const url = new URL(request.url);
+  if (url.href.split('?')[0] === manifestUrl) return manifestResponse(request);
+  if (url.origin === scope.origin && url.pathname.startsWith(assetsPath)) return assetResponse(request);
+  return appResponse(request);
+}
+
+self.addEventListener('fetch', event => {
+  if (event.request.method !== 'GET') return;
+  event.respondWith(respond(event.request));
+});
+
+/**
+ * Cache the URLs the page loaded before this worker controlled it. The
+ * manifest goes first: photos are cached under its version, and without it
+ * they would only be fetched.
+ */
+async function cacheUrls(urls) {
+  const isManifest = url => url.split('?')[0] === manifestUrl;
+  await manifestResponse(new Request(urls.find(isManifest) || manifestUrl)).catch(() => null);
+  await Promise.all(urls
+    .filter(url => !isManifest(url))
+    .map(url => respond(new Request(url)).catch(() => null)));
+}
+
+// The page sends the URLs it loaded before this worker controlled it, so the
+// first visit is cached in full
+self.addEventListener('message', event => {
+  if (event.data?.type !== 'cache-urls') return;
+  event.waitUntil(cacheUrls(event.data.urls));
+});
@@ -0,0 +1,54 @@
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+const run = promisify(execFile);
+const script = path.resolve('scripts/streettype.js');
+
+// canvas is an optional dependency: PNG and PDF are only tested where it installed
+const canvas = await import('canvas').catch(() => null);
+const withCanvas = canvas ? test : test.skip;
+
+let dir;
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'streettype-'));
+});
+afterEach(() => rm(dir, { recursive: true, force: true }));
+
+const render = (...args) => run('node', [script, 'render', ...args], { timeout: 60000 });
+
+test('renders a poster to SVG', async () => {
+  const file = path.join(dir, 'hello.svg');
+  await render('HELLO', '--seed', '42', '-o', file);
+  const svg = await readFile(file, 'utf8');
+  expect(svg).toContain('<svg');
+  expect(svg).toContain('<image');
+});
+
+test('checks every batch poster before writing any', async () => {
+  const batch = path.join(dir, 'names.csv');
+  await writeFile(batch, 'text,style\nFine,serif\nBad,comic\n');
+  const out = path.join(dir, 'out');
+
+  await expect(render('--batch', batch, '--type', 'svg', '--out-dir', out))
+    .rejects.toMatchObject({ code: 1, stderr: expect.stringContaining('Poster 2 ("Bad")') });
+  await expect(readdir(out)).rejects.toThrow();
+});
+
+withCanvas('renders PNG at the print resolution and PDF', async () => {
+  const png = path.join(dir, 'hello.png');
+  const pdf = path.join(dir, 'hello.pdf');
+  await render('HELLO', '--seed', '42', '--dpi', '150', '-o', png);
+  await render('HELLO', '--seed', '42', '-o', pdf);
+
+  const image = await canvas.loadImage(await readFile(png));
+  expect(image.width).toBeGreaterThan(1000);
+  expect((await readFile(pdf, 'latin1')).startsWith('%PDF')).toBe(true);
+});
+
+(canvas ? test.skip : test)('explains that PNG output needs the canvas package', async () => {
+  await expect(render('HELLO', '-o', path.join(dir, 'hello.png')))
+    .rejects.toMatchObject({ code: 1, stderr: expect.stringContaining('npm install canvas') });
+});
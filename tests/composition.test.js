@@ -0,0 +1,31 @@
+import { Composition } from '../src/modules/composition.js';
+import { canvasFormats, getTheme } from '../src/modules/config.js';
+
+const textLetters = text => [...text].map(value => (value === ' '
+  ? { type: 'space', value }
+  : { type: 'letter', value, url: null }));
+
+test('lays letters out with the settings from its setters', () => {
+  const composition = new Composition();
+  composition.setTypeScale({ size: 80 });
+  composition.setAlignment({ align: 'left' });
+  const small = composition.layoutLetters(textLetters('HI THERE'), 1000);
+
+  composition.setTypeScale({ size: 160 });
+  const large = composition.layoutLetters(textLetters('HI THERE'), 1000);
+
+  expect(small.items.map(item => item.kind)).toEqual(Array(7).fill('text'));
+  expect(large.items[1].cell.x - large.items[0].cell.x).toBeGreaterThan(small.items[1].cell.x - small.items[0].cell.x);
+});
+
+test('keeps the current format for unknown formats and switches themes by name', () => {
+  const composition = new Composition();
+  const [format] = Object.keys(canvasFormats);
+  expect(composition.setCanvasFormat(format)).toBe(true);
+  expect(composition.setCanvasFormat('napkin')).toBe(false);
+  expect(composition.canvasFormat).toBe(format);
+  expect(composition.formatHeight(1000)).toBe(Math.round(1000 / canvasFormats[format].aspectRatio));
+
+  composition.setTheme('night');
+  expect(composition.theme).toBe(getTheme('night'));
+});
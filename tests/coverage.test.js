@@ -0,0 +1,47 @@
+import { assetManager } from '../src/modules/assetManager.js';
+import { buildManifest } from '../src/modules/manifest.js';
+import { coverageToCSV, describeGaps } from '../src/modules/coverage.js';
+
+const files = [
+  'Alphabet/cities/CHI/Alphabet/A/sans-upper/01.jpg',
+  'Alphabet/cities/CHI/Alphabet/A/sans-upper/02.jpg',
+  'Alphabet/cities/CHI/Alphabet/B/Script:Handwriting-upper/01.jpg',
+  'Alphabet/cities/NYC/Alphabet/C/sans-upper/01.jpg',
+  'Alphabet/cities/NYC/fallback/serif-lower/01.jpg',
+  'Numbers/1/01.jpg',
+  'Symbols/period/01.jpg'
+];
+
+beforeAll(() => {
+  assetManager.setManifest(buildManifest(files));
+});
+
+test('getCoverageReport counts variants and flags borrowed glyphs', async () => {
+  const report = await assetManager.getCoverageReport('CHI');
+  const cell = (char, style, charCase) => report.cells.find(c => c.char === char && c.style === style && c.case === charCase);
+
+  expect(cell('A', 'sans', 'upper')).toMatchObject({ variants: 2, borrowed: false, folder: 'assets/Alphabet/cities/CHI/Alphabet/A/sans-upper' });
+  expect(cell('C', 'sans', 'upper')).toMatchObject({ variants: 1, borrowed: true });
+  expect(cell('x', 'serif', 'lower')).toMatchObject({ variants: 1, borrowed: true });
+  expect(cell('D', 'sans', 'upper')).toMatchObject({ variants: 0, folder: null });
+  expect(report.cells.find(c => c.char === '1')).toMatchObject({ kind: 'number', variants: 1, borrowed: false });
+
+  const scriptUpper = report.columns.find(c => c.style === 'script' && c.case === 'upper');
+  expect(scriptUpper).toMatchObject({ covered: 1, total: 26 });
+});
+
+test('describeGaps and coverageToCSV turn a report into a shot list', async () => {
+  const report = await assetManager.getCoverageReport('CHI');
+  const gaps = describeGaps(report);
+
+  expect(gaps).toContain('only 1 of 26 Script uppercase');
+  expect(gaps).toContain('no Monospace lowercase');
+  expect(gaps).toContain('only 1 of 10 Sans numerals');
+
+  const csv = coverageToCSV(report).split('\n');
+  expect(csv[0]).toBe('city,char,kind,style,case,variants,status,folder');
+  expect(csv).toContain('CHI,A,letter,sans,upper,2,ok,assets/Alphabet/cities/CHI/Alphabet/A/sans-upper');
+  expect(csv).toContain('CHI,",",symbol,sans,,0,missing,');
+  // Symbols a spreadsheet would take for formulas stay text
+  ['=', '+', '-', '@'].forEach(symbol => expect(csv).toContain(`CHI,'${symbol},symbol,sans,,0,missing,`));
+});
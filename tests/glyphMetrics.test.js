@@ -0,0 +1,39 @@
+import { defaultMetrics, metricsPathFor, normalizeMetrics, placeGlyph, serializeMetrics, X_HEIGHT_RATIO } from '../src/modules/glyphMetrics.js';
+
+test('metricsPathFor swaps the photo extension for .json', () => {
+  expect(metricsPathFor('Alphabet/cities/NYC/Alphabet/A/sans-upper/01.jpg'))
+    .toBe('Alphabet/cities/NYC/Alphabet/A/sans-upper/01.json');
+});
+
+test('normalizeMetrics fills missing or invalid fields with defaults', () => {
+  const metrics = normalizeMetrics({ crop: { x: 0.1, w: 2 }, baseline: 'low', advance: 1.2 }, 'p');
+  expect(metrics.crop).toEqual({ x: 0.1, y: 0, w: 0.9, h: 1 });
+  expect(metrics.baseline).toBe(defaultMetrics('p').baseline);
+  expect(metrics.xHeight).toBeNull();
+  expect(metrics.advance).toBe(1.2);
+});
+
+test('placeGlyph scales the crop so the part above the baseline is the cap height', () => {
+  const metrics = normalizeMetrics({ crop: { x: 0.25, y: 0, w: 0.5, h: 1 }, baseline: 0.8, advance: 1.5 });
+  const placed = placeGlyph(metrics, { imageWidth: 200, imageHeight: 100, capHeight: 60, char: 'A' });
+
+  expect(placed.crop).toMatchObject({ x: 50, y: 0, w: 100, h: 100 });
+  expect(placed.ascent).toBeCloseTo(60);
+  expect(placed.height).toBeCloseTo(75);
+  expect(placed.width).toBeCloseTo(75);
+  expect(placed.advance).toBeCloseTo(112.5);
+});
+
+test('x-height letters are sized by the x-height', () => {
+  const lower = placeGlyph(defaultMetrics('a'), { imageWidth: 100, imageHeight: 100, capHeight: 60, char: 'a' });
+  expect(lower.ascent).toBeCloseTo(60 * X_HEIGHT_RATIO);
+
+  const recorded = placeGlyph(normalizeMetrics({ xHeight: 0.5 }), { imageWidth: 100, imageHeight: 100, capHeight: 60, char: 'A' });
+  expect(recorded.height * 0.5).toBeCloseTo(60 * X_HEIGHT_RATIO);
+});
+
+test('serializeMetrics rounds values and leaves out an unset x-height', () => {
+  const sidecar = serializeMetrics({ crop: { x: 0.12345, y: 0, w: 0.5, h: 1 }, baseline: 0.8, xHeight: null, advance: 1 });
+  expect(sidecar).toEqual({ crop: { x: 0.123, y: 0, w: 0.5, h: 1 }, baseline: 0.8, advance: 1 });
+  expect(normalizeMetrics(sidecar)).toMatchObject({ baseline: 0.8, xHeight: null });
+});
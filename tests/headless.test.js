@@ -0,0 +1,47 @@
+import { parseBatch, posterFilename, parseTypeSize, imageSize } from '../src/modules/headless.js';
+
+test('reads CSV batches with a header, quoted cells and blank settings', () => {
+  const csv = 'text,style,seed\n"Doe, Jane",serif,7\r\n"Say ""hi""",,\n\n';
+  expect(parseBatch(csv, 'names.csv')).toEqual([
+    { text: 'Doe, Jane', style: 'serif', seed: '7' },
+    { text: 'Say "hi"' }
+  ]);
+});
+
+test('reads headerless CSV and JSON batches, and rejects posters without text', () => {
+  expect(parseBatch('Jane Doe\nJohn Roe\n', 'names.txt')).toEqual([{ text: 'Jane Doe' }, { text: 'John Roe' }]);
+  expect(parseBatch('["Hi", {"text": "Bye", "seed": 3, "color": "red"}]', 'b.json'))
+    .toEqual([{ text: 'Hi' }, { text: 'Bye', seed: '3' }]);
+  expect(() => parseBatch('[{"style": "serif"}]', 'b.json')).toThrow('poster 1 has no text');
+  expect(() => parseBatch('{"text": "Hi"}', 'b.json')).toThrow('array');
+});
+
+test('names batch files by position and text unless an output is given', () => {
+  expect(posterFilename({ text: 'Émile Zola!' }, 2, 'png')).toBe('003-emile-zola.png');
+  expect(posterFilename({ text: '★★' }, 0, 'svg')).toBe('001-poster.svg');
+  expect(posterFilename({ text: 'Hi', output: 'hi.pdf' }, 0, 'png')).toBe('hi.pdf');
+});
+
+test('reads type sizes as preset names or px within the type scale', () => {
+  expect(parseTypeSize('large')).toBeGreaterThan(parseTypeSize('small'));
+  expect(parseTypeSize('120')).toBe(120);
+  expect(() => parseTypeSize('huge')).toThrow('Size must be');
+  expect(() => parseTypeSize('100000')).toThrow('Size must be');
+});
+
+test('reads image sizes from PNG and JPEG headers', () => {
+  const png = new Uint8Array(24);
+  png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  new DataView(png.buffer).setUint32(16, 640);
+  new DataView(png.buffer).setUint32(20, 480);
+  expect(imageSize(png)).toEqual({ width: 640, height: 480 });
+
+  // SOI, an APP0 segment, then a baseline start-of-frame
+  const jpeg = new Uint8Array([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+    0xff, 0xc0, 0x00, 0x11, 0x08, 0x01, 0xe0, 0x02, 0x80, 0x03, 0x00, 0x00
+  ]);
+  expect(imageSize(jpeg)).toEqual({ width: 640, height: 480 });
+  expect(imageSize(new Uint8Array([1, 2, 3, 4]))).toBeNull();
+});
@@ -0,0 +1,67 @@
+import { DEFAULT_PROCESSING, isIdentity, processPixels, processingKey, thumbnailHeight } from '../src/modules/imageProcessing.js';
+
+// Image filled with `background`, with an `inkSize`-wide square of `ink` in the middle
+function makePixels(size, background, ink, inkSize = size / 2) {
+  const data = new Uint8ClampedArray(size * size * 4);
+  const start = (size - inkSize) / 2;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const inside = x >= start && x < start + inkSize && y >= start && y < start + inkSize;
+      data.set([...(inside ? ink : background), 255], (y * size + x) * 4);
+    }
+  }
+  return data;
+}
+
+const pixel = (data, size, x, y) => Array.from(data.slice((y * size + x) * 4, (y * size + x) * 4 + 4));
+
+test('default settings leave the pixels untouched', () => {
+  const data = makePixels(4, [200, 100, 50], [10, 20, 30]);
+  const copy = data.slice();
+  expect(isIdentity(DEFAULT_PROCESSING)).toBe(true);
+  expect(processPixels(data, 4, 4, {})).toEqual(copy);
+});
+
+test('grayscale and duotone map brightness onto the tone', () => {
+  const gray = processPixels(makePixels(4, [255, 255, 255], [255, 0, 0]), 4, 4, { tone: 'grayscale' });
+  expect(pixel(gray, 4, 2, 2)).toEqual([76, 76, 76, 255]);
+
+  const duotone = processPixels(makePixels(4, [255, 255, 255], [0, 0, 0]), 4, 4,
+    { tone: 'duotone', duotoneDark: '#102030', duotoneLight: '#ffeedd' });
+  expect(pixel(duotone, 4, 0, 0)).toEqual([255, 238, 221, 255]);
+  expect(pixel(duotone, 4, 2, 2)).toEqual([16, 32, 48, 255]);
+});
+
+test('auto-levels stretches a flat photo to the full range', () => {
+  const data = processPixels(makePixels(10, [180, 180, 180], [80, 80, 80]), 10, 10, { levels: true });
+  expect(pixel(data, 10, 0, 0)).toEqual([255, 255, 255, 255]);
+  expect(pixel(data, 10, 5, 5)).toEqual([0, 0, 0, 255]);
+});
+
+test('key knockout clears the background color and keeps the letter', () => {
+  const data = processPixels(makePixels(8, [230, 220, 200], [40, 30, 20]), 8, 8, { knockout: 'key' });
+  expect(pixel(data, 8, 0, 0)[3]).toBe(0);
+  expect(pixel(data, 8, 4, 4)[3]).toBe(255);
+});
+
+test('threshold knockout clears whichever side the background is on', () => {
+  const light = processPixels(makePixels(8, [240, 240, 240], [20, 20, 20]), 8, 8, { knockout: 'threshold' });
+  expect([pixel(light, 8, 0, 0)[3], pixel(light, 8, 4, 4)[3]]).toEqual([0, 255]);
+
+  const dark = processPixels(makePixels(8, [20, 20, 20], [240, 240, 240]), 8, 8, { knockout: 'threshold' });
+  expect([pixel(dark, 8, 0, 0)[3], pixel(dark, 8, 4, 4)[3]]).toEqual([0, 255]);
+});
+
+test('processingKey only changes with settings that affect the output', () => {
+  expect(processingKey({ threshold: 10 })).toBe('none');
+  expect(processingKey({ knockout: 'key', threshold: 10 })).toBe(processingKey({ knockout: 'key', threshold: 90 }));
+  expect(processingKey({ knockout: 'key', tolerance: 10 })).not.toBe(processingKey({ knockout: 'key', tolerance: 90 }));
+});
+
+test('thumbnailHeight rounds up to power-of-two steps and never exceeds the photo', () => {
+  expect(thumbnailHeight(40, 3000)).toBe(64);
+  expect(thumbnailHeight(65, 3000)).toBe(128);
+  expect(thumbnailHeight(900, 3000)).toBe(1024);
+  expect(thumbnailHeight(2500, 3000)).toBe(3000);
+  expect(thumbnailHeight(Infinity, 3000)).toBe(3000);
+});
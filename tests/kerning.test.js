@@ -0,0 +1,46 @@
+import { inkProfile, opticalKerning, pairKerning } from '../src/modules/kerning.js';
+
+// White image with a black rectangle from (x0, y0) to (x1, y1), exclusive
+function makeImage(width, height, [x0, y0, x1, y1]) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      data.set([0, 0, 0], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+test('inkProfile finds the ink edges per band and skips empty bands', () => {
+  const profile = inkProfile(makeImage(20, 20, [5, 10, 15, 20]), null, { bands: 2 });
+  expect(profile.left).toEqual([null, 0.25]);
+  expect(profile.right).toEqual([null, 0.75]);
+});
+
+test('opticalKerning closes the ink gap down to the target', () => {
+  const profile = { bands: 1, left: [0.25], right: [0.75] };
+  const glyph = { profile, width: 40, height: 60, ascent: 60 };
+  // Ink gap before kerning: 45 + 10 - 30 = 25
+  expect(opticalKerning(glyph, glyph, { distance: 45, targetGap: 5, opaque: false })).toBe(-20);
+  // Opaque photos can't cover the left glyph's ink: the box stops at x = 30
+  expect(opticalKerning(glyph, glyph, { distance: 45, targetGap: 5 })).toBe(-15);
+});
+
+test('opticalKerning leaves glyphs without shared ink heights alone', () => {
+  const top = { profile: { bands: 2, left: [0, null], right: [1, null] }, width: 40, height: 60, ascent: 60 };
+  const bottom = { profile: { bands: 2, left: [null, 0], right: [null, 1] }, width: 40, height: 60, ascent: 60 };
+  expect(opticalKerning(top, bottom, { distance: 45, targetGap: 5 })).toBe(0);
+});
+
+test('pairKerning applies a city pair only when both glyphs are from that city', () => {
+  const tables = { NYC: { AV: -0.1 } };
+  expect(pairKerning(tables, { value: 'A', city: 'NYC' }, { value: 'V', city: 'NYC' })).toBe(-0.1);
+  expect(pairKerning(tables, { value: 'A', city: 'NYC' }, { value: 'V', city: 'LA' })).toBeNull();
+  expect(pairKerning(tables, { value: 'V', city: 'NYC' }, { value: 'A', city: 'NYC' })).toBeNull();
+});
+
+test('inkProfile never counts transparent pixels as ink', () => {
+  const image = makeImage(20, 20, [5, 0, 15, 20]);
+  for (let i = 3; i < image.data.length; i += 4) image.data[i] = 0;
+  expect(inkProfile(image, null, { bands: 1 }).left).toEqual([null]);
+});
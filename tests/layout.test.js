@@ -0,0 +1,117 @@
+import { fitSize, layout } from '../src/modules/layout.js';
+
+const toLetters = text => Array.from(text).map(char => {
+  if (char === ' ') return { type: 'space', value: ' ' };
+  if (char === '\n') return { type: 'newline', value: '\n' };
+  return { type: 'letter', value: char };
+});
+
+// 10px glyphs with no spacing: a 100px canvas fits 8 glyphs between 10px side paddings
+const options = {
+  width: 100,
+  letterWidth: 10,
+  letterHeight: 20,
+  letterSpacing: 0,
+  lineHeight: 30,
+  lineGap: 0,
+  topPadding: 0,
+  bottomPadding: 0
+};
+
+const lineText = (result, text) => result.lines.map(line => line.boxes.map(b => text[b.index]).join(''));
+
+test('wraps between words instead of splitting them', () => {
+  const text = 'ABCD EFGH';
+  const result = layout(toLetters(text), options);
+  expect(lineText(result, text)).toEqual(['ABCD', 'EFGH']);
+  expect(result.boxes.every(box => box.x + box.width <= 90)).toBe(true);
+  expect(result.height).toBe(50);
+});
+
+test('honors explicit newlines, including empty lines', () => {
+  const text = 'AB\n\nCD';
+  const result = layout(toLetters(text), options);
+  expect(lineText(result, text)).toEqual(['AB', '', 'CD']);
+  expect(result.lines.map(line => line.y)).toEqual([0, 30, 60]);
+});
+
+test('breaks words longer than a line between glyphs', () => {
+  const text = 'AB ABCDEFGHIJ';
+  const result = layout(toLetters(text), options);
+  expect(lineText(result, text)).toEqual(['AB', 'ABCDEFGH', 'IJ']);
+});
+
+test('uses measured glyph sizes for advance and line height', () => {
+  const text = 'AB';
+  const result = layout(toLetters(text), {
+    ...options,
+    measure: letter => (letter.value === 'A' ? { width: 30, height: 50 } : { width: 10, height: 20 })
+  });
+  expect(result.boxes.map(box => box.x)).toEqual([10, 40]);
+  expect(result.lines[0].height).toBe(50);
+});
+
+test('centers and right-aligns each line in the available width', () => {
+  const text = 'AB\nABCD';
+  const center = layout(toLetters(text), { ...options, align: 'center' });
+  expect(center.lines.map(line => line.boxes[0].x)).toEqual([40, 30]);
+
+  const right = layout(toLetters(text), { ...options, align: 'right' });
+  expect(right.lines.map(line => line.boxes[line.boxes.length - 1].x + 10)).toEqual([90, 90]);
+});
+
+test('justifies wrapped lines but not the last line of a paragraph', () => {
+  const text = 'AB CD EFGHI';
+  const result = layout(toLetters(text), { ...options, align: 'justify' });
+  expect(lineText(result, text)).toEqual(['ABCD', 'EFGHI']);
+  // 'AB CD' is 50px wide in 80px: the one word gap takes the extra 30px
+  expect(result.lines[0].boxes.map(b => b.x)).toEqual([10, 20, 70, 80]);
+  expect(result.lines[1].boxes[0].x).toBe(10);
+});
+
+test('positions the block vertically inside the frame', () => {
+  const letters = toLetters('AB');
+  const middle = layout(letters, { ...options, verticalAlign: 'middle', frameHeight: 100 });
+  expect(middle.boxes[0].y).toBe(40);
+  expect(middle.height).toBe(20);
+
+  const bottom = layout(letters, { ...options, verticalAlign: 'bottom', frameHeight: 100 });
+  expect(bottom.boxes[0].y).toBe(80);
+});
+
+test('aligns glyphs on a shared baseline and advances by their advance widths', () => {
+  const sizes = {
+    A: { width: 10, height: 20 },
+    x: { width: 10, height: 12 },
+    p: { width: 10, height: 18, ascent: 12, advance: 14 }
+  };
+  const text = 'Axp';
+  const result = layout(toLetters(text), { ...options, measure: letter => sizes[letter.value] });
+  const [a, x, p] = result.boxes;
+
+  expect(a.y + a.ascent).toBe(20);
+  expect(x.y + x.ascent).toBe(20);
+  expect(p.y + p.ascent).toBe(20);
+  expect(result.lines[0].height).toBe(26);
+  expect(result.boxes.map(b => b.x)).toEqual([10, 20, 30]);
+
+  const advanced = layout(toLetters('pA'), { ...options, measure: letter => sizes[letter.value] });
+  expect(advanced.boxes[1].x).toBe(24);
+});
+
+test('adds kerning between glyphs of a word but not across spaces', () => {
+  const text = 'AV A';
+  const kern = (left, right) => (left.value === 'A' && right.value === 'V' ? -4 : 1);
+  const result = layout(toLetters(text), { ...options, kern });
+  expect(result.boxes.map(b => b.x)).toEqual([10, 16, 36]);
+});
+
+test('fitSize finds the largest size whose layout fits the frame', () => {
+  const text = 'ABCD EFGH';
+  const heightAt = size => layout(toLetters(text), { ...options, letterWidth: size / 2, letterHeight: size, lineHeight: size }).height;
+  const size = fitSize(heightAt, { min: 10, max: 100, step: 2, frameHeight: 60 });
+
+  expect(heightAt(size)).toBeLessThanOrEqual(60);
+  expect(heightAt(size + 2)).toBeGreaterThan(60);
+  expect(fitSize(() => 1000, { min: 10, max: 100, frameHeight: 60 })).toBe(10);
+});
@@ -0,0 +1,152 @@
+import { assetManager } from '../src/modules/assetManager.js';
+import { mixedCityWeights } from '../src/modules/config.js';
+import { buildManifest } from '../src/modules/manifest.js';
+import { TypographyManager } from '../src/modules/typographyManager.js';
+
+const files = ['sans', 'serif', 'Script:Handwriting', 'Display:Decorative'].flatMap(folder =>
+  ['A', 'B', 'C'].flatMap(letter =>
+    ['01', '02', '03'].flatMap(variant => [
+      `Alphabet/cities/NYC/Alphabet/${letter}/${folder}-upper/${variant}.jpg`,
+      `Alphabet/cities/NYC/Alphabet/${letter}/${folder}-lower/${variant}.jpg`
+    ])
+  )
+);
+
+beforeAll(() => {
+  assetManager.setManifest(buildManifest(files));
+});
+
+test('same text, options and seed give the same letter objects', async () => {
+  const options = { style: 'random', city: 'NYC', caseOption: 'mixed', seed: 'poster-7' };
+  const first = await new TypographyManager().getLettersFromText('Cab ABC cab', options);
+  const second = await new TypographyManager().getLettersFromText('Cab ABC cab', options);
+
+  expect(second).toEqual(first);
+  expect(first.filter(l => l.type === 'letter')).toHaveLength(9);
+});
+
+test('edits keep the previous letters whose character is unchanged', async () => {
+  const manager = new TypographyManager();
+  const options = { style: 'random', city: 'NYC', caseOption: 'mixed', seed: 'poster-7' };
+  const before = await manager.getLettersFromText('Cab ABC', options);
+  const after = await manager.getLettersFromText('Cab BBC a', { ...options, previous: before });
+
+  [0, 1, 2, 5, 6].forEach(index => expect(after[index]).toBe(before[index]));
+  expect(after[4]).not.toBe(before[4]);
+  // The same result as generating from scratch
+  expect(after).toEqual(await manager.getLettersFromText('Cab BBC a', options));
+});
+
+test('inserting or deleting text gives the same letters as a fresh run', async () => {
+  const manager = new TypographyManager();
+  const options = { style: 'random', city: 'NYC', caseOption: 'mixed', seed: 'poster-7' };
+  const before = await manager.getLettersFromText('AB cab', options);
+  const inserted = await manager.getLettersFromText('AB Ccab', { ...options, previous: before });
+  const deleted = await manager.getLettersFromText('AB ab', { ...options, previous: inserted });
+
+  [0, 1].forEach(index => expect(inserted[index]).toBe(before[index]));
+  expect(inserted).toEqual(await manager.getLettersFromText('AB Ccab', options));
+  expect(deleted).toEqual(await manager.getLettersFromText('AB ab', options));
+});
+
+test('locks follow their letters when text is inserted or deleted before them', async () => {
+  const manager = new TypographyManager();
+  const options = { style: 'sans', city: 'NYC', caseOption: 'upper', seed: 'poster-8' };
+  const lockedAt = letters => Object.fromEntries(letters.map((lt, i) => [i, lt]).filter(([, lt]) => lt.locked));
+  const before = await manager.rebuildLetter(await manager.getLettersFromText('AB C', options), 3, { mode: 'reroll' });
+
+  const inserted = await manager.getLettersFromText('AAB C', { ...options, previous: before, locked: lockedAt(before) });
+  expect(inserted[4]).toMatchObject({ value: 'C', url: before[3].url, locked: true });
+
+  const deleted = await manager.getLettersFromText('A C', { ...options, previous: inserted, locked: lockedAt(inserted) });
+  expect(deleted[2]).toMatchObject({ value: 'C', url: before[3].url, locked: true });
+});
+
+test('aborted generations reject with an AbortError', async () => {
+  const manager = new TypographyManager();
+  const controller = new AbortController();
+  controller.abort();
+
+  await expect(manager.getLettersFromText('ABC', { style: 'sans', seed: 1, signal: controller.signal }))
+    .rejects.toMatchObject({ name: 'AbortError' });
+  await expect(assetManager.get({ char: 'A', style: 'sans', case: 'upper', signal: controller.signal }))
+    .rejects.toMatchObject({ name: 'AbortError' });
+});
+
+test('rebuildLetterAt only replaces one index and locks it', async () => {
+  const manager = new TypographyManager();
+  const letters = await manager.getLettersFromText('ABC', { style: 'sans', seed: 1 });
+  const rebuilt = await manager.rebuildLetter(letters, 1, { mode: 'reroll' });
+
+  expect(rebuilt[0]).toBe(letters[0]);
+  expect(rebuilt[2]).toBe(letters[2]);
+  expect(rebuilt[1].url).not.toBe(letters[1].url);
+  expect(rebuilt[1].style).toBe('sans-upper');
+  expect(rebuilt[1].locked).toBe(true);
+
+  const regenerated = await manager.getLettersFromText('ABC', { style: 'serif', seed: 2, locked: { 1: rebuilt[1] } });
+  expect(regenerated[1].url).toBe(rebuilt[1].url);
+  expect(regenerated[0].style).toBe('serif-upper');
+});
+
+test('locks on photos missing from the manifest are dropped and selected again', async () => {
+  const manager = new TypographyManager();
+  const locked = {
+    0: { type: 'letter', value: 'A', style: 'sans-upper', url: 'assets/Alphabet/cities/NYC/Alphabet/A/sans-upper/09.jpg', locked: true },
+    1: { type: 'letter', value: 'B', style: 'sans-upper', url: 'assets/Alphabet/cities/NYC/Alphabet/B/sans-upper/02.jpg', locked: true }
+  };
+  const letters = await manager.getLettersFromText('AB', { style: 'serif', seed: 5, locked });
+
+  expect(letters[0]).toMatchObject({ style: 'serif-upper' });
+  expect(letters[0].locked).toBeFalsy();
+  expect(letters[1]).toMatchObject({ url: locked[1].url, locked: true });
+});
+
+test('line breaks become newline tokens', async () => {
+  const letters = await new TypographyManager().getLettersFromText('AB\r\nC', { style: 'sans', seed: 3 });
+  expect(letters.map(l => l.type)).toEqual(['letter', 'letter', 'newline', 'letter']);
+});
+
+test('styles without photos borrow from the closest style or fall back to SVG', async () => {
+  const manager = new TypographyManager();
+  const closest = await manager.getLettersFromText('Ab', { style: 'mono', seed: 4, styleFallback: 'closest' });
+  expect(closest.map(l => l.style)).toEqual(['sans-upper', 'sans-lower']);
+  expect(closest.every(l => !l.isFallback)).toBe(true);
+
+  const drawn = await manager.getLettersFromText('Ab', { style: 'mono', seed: 4, styleFallback: 'svg' });
+  expect(drawn.map(l => l.style)).toEqual(['mono-upper', 'mono-lower']);
+  expect(drawn.every(l => l.isFallback && l.url.startsWith('data:image/svg+xml'))).toBe(true);
+});
+
+test('getStyleCoverage reports the share of the alphabet each style has photos for', () => {
+  const coverage = assetManager.getStyleCoverage('NYC');
+  expect(coverage.sans).toEqual({ covered: 6, total: 52, ratio: 6 / 52 });
+  expect(coverage.mono.covered).toBe(0);
+  expect(assetManager.getStyleCoverage('mixed').script.covered).toBe(6);
+});
+
+test('Mixed Cities picks a city pack per letter by the configured weights', async () => {
+  const twoCities = ['NYC', 'CHI'].flatMap(city => ['A', 'B', 'C'].map(letter =>
+    `Alphabet/cities/${city}/Alphabet/${letter}/sans-upper/01.jpg`));
+  assetManager.setManifest(buildManifest(twoCities));
+  const manager = new TypographyManager();
+  const options = { style: 'sans', city: 'mixed', caseOption: 'upper', seed: 'mixed-1' };
+  const cityCounts = letters => letters.reduce((counts, lt) => ({ ...counts, [lt.city]: (counts[lt.city] || 0) + 1 }), {});
+
+  try {
+    const letters = await manager.getLettersFromText('ABC'.repeat(20), options);
+    letters.forEach(lt => expect(lt.url).toContain(`/cities/${lt.city}/`));
+    expect(Object.keys(cityCounts(letters)).sort()).toEqual(['CHI', 'NYC']);
+    expect(await manager.getLettersFromText('ABC'.repeat(20), options)).toEqual(letters);
+
+    mixedCityWeights.CHI = 4;
+    const weighted = cityCounts(await manager.getLettersFromText('ABC'.repeat(20), options));
+    expect(weighted.CHI).toBeGreaterThan(weighted.NYC * 2);
+
+    mixedCityWeights.CHI = 0;
+    expect(cityCounts(await manager.getLettersFromText('ABC'.repeat(20), options))).toEqual({ NYC: 60 });
+  } finally {
+    delete mixedCityWeights.CHI;
+    assetManager.setManifest(buildManifest(files));
+  }
+});
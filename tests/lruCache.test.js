@@ -0,0 +1,29 @@
+import { LRUCache, imageBytes } from '../src/modules/lruCache.js';
+
+test('evicts the least recently used entries once over capacity', () => {
+  const cache = new LRUCache({ capacity: 3 });
+  cache.set('a', 1).set('b', 2).set('c', 3);
+  cache.get('a');
+  cache.set('d', 4);
+
+  expect([...cache.entries.keys()]).toEqual(['c', 'a', 'd']);
+  expect(cache.getStats()).toMatchObject({ entries: 3, size: 3, hits: 1, misses: 0, evictions: 1 });
+  expect(cache.get('b')).toBeUndefined();
+  expect(cache.getStats().misses).toBe(1);
+});
+
+test('sizes entries with sizeOf and skips entries larger than the capacity', () => {
+  const cache = new LRUCache({ capacity: 100 * 100 * 4, sizeOf: imageBytes });
+  cache.set('small', { width: 50, height: 100 });
+  cache.set('replaced', { width: 10, height: 10 });
+  cache.set('replaced', { width: 50, height: 100 });
+  expect(cache.getStats()).toMatchObject({ entries: 2, size: 40000, evictions: 0 });
+
+  cache.set('huge', { width: 1000, height: 1000 });
+  expect(cache.has('huge')).toBe(false);
+  expect(cache.size).toBe(2);
+
+  cache.set('more', { width: 1, height: 1 });
+  expect(cache.has('small')).toBe(false);
+  expect(cache.getStats().size).toBe(20004);
+});
@@ -0,0 +1,130 @@
+import { buildManifest, indexManifest, listManifestFolders } from '../src/modules/manifest.js';
+import { AssetManager } from '../src/modules/assetManager.js';
+
+const files = [
+  'Alphabet/cities/NYC/Alphabet/A/sans-upper/02.jpg',
+  'Alphabet/cities/NYC/Alphabet/A/sans-upper/01.jpg',
+  'Alphabet/cities/NYC/Alphabet/I/serif-upper/01.png',
+  'Alphabet/cities/NYC/Alphabet/C/Script:Handwriting-upper/01.jpg',
+  'Numbers/1/01.jpg',
+  'Symbols/period/01.jpg',
+  'Symbols/period/notes.txt',
+  'README.md'
+];
+
+test('buildManifest groups photos by city, letter and style-case', () => {
+  const manifest = buildManifest(files);
+  expect(manifest.cities.NYC.letters.A['sans-upper']).toEqual(['01.jpg', '02.jpg']);
+  expect(manifest.cities.NYC.letters.I['serif-upper']).toEqual(['01.png']);
+  expect(manifest.numbers['1']).toEqual(['01.jpg']);
+  expect(manifest.symbols.period).toEqual(['01.jpg']);
+  expect(manifest.version).toBe(buildManifest([...files].reverse()).version);
+});
+
+test('buildManifest collects glyph metrics sidecars by photo path', () => {
+  const metrics = { 'Alphabet/cities/NYC/Alphabet/A/sans-upper/01.json': { baseline: 0.8 } };
+  const manifest = buildManifest(files, {}, metrics);
+  expect(manifest.metrics).toEqual({ 'Alphabet/cities/NYC/Alphabet/A/sans-upper/01.jpg': { baseline: 0.8 } });
+  expect(manifest.version).not.toBe(buildManifest(files).version);
+
+  const assets = new AssetManager();
+  assets.setManifest(manifest);
+  expect(assets.getMetrics('assets/Alphabet/cities/NYC/Alphabet/A/sans-upper/01.jpg')).toEqual({ baseline: 0.8 });
+  expect(assets.getMetrics('assets/Alphabet/cities/NYC/Alphabet/A/sans-upper/02.jpg')).toBeNull();
+});
+
+test('buildManifest keeps valid kerning pairs from city.json', () => {
+  const manifest = buildManifest(files, { NYC: { name: 'New York City', kerning: { AV: -0.08, To: 'tight', ABC: 1 } } });
+  expect(manifest.cities.NYC.kerning).toEqual({ AV: -0.08 });
+
+  const assets = new AssetManager();
+  assets.setManifest(manifest);
+  expect(assets.getKerningTables()).toEqual({ NYC: { AV: -0.08 } });
+});
+
+test('indexManifest flattens to asset folder paths', () => {
+  const index = indexManifest(buildManifest(files));
+  expect(index.get('assets/Alphabet/cities/NYC/Alphabet/A/sans-upper')).toEqual(['01.jpg', '02.jpg']);
+  expect(index.get('assets/Numbers/1')).toEqual(['01.jpg']);
+});
+
+test('AssetManager resolves only manifest paths and falls back to SVG', async () => {
+  const manager = new AssetManager();
+  manager.setManifest(buildManifest(files));
+
+  await expect(manager.get({ char: 'A', style: 'sans', case: 'upper', variant: '02' }))
+    .resolves.toBe('assets/Alphabet/cities/NYC/Alphabet/A/sans-upper/02.jpg');
+  await expect(manager.get({ char: 'A', style: 'sans', case: 'upper', variant: '05' }))
+    .resolves.toBe('assets/Alphabet/cities/NYC/Alphabet/A/sans-upper/01.jpg');
+  await expect(manager.get({ char: 'I', style: 'serif', case: 'upper' }))
+    .resolves.toBe('assets/Alphabet/cities/NYC/Alphabet/I/serif-upper/01.png');
+  await expect(manager.get({ char: 'C', style: 'script', case: 'upper' }))
+    .resolves.toBe('assets/Alphabet/cities/NYC/Alphabet/C/Script:Handwriting-upper/01.jpg');
+
+  const svg = await manager.get({ char: 'Z', style: 'mono', case: 'upper' });
+  expect(svg.startsWith('data:image/svg+xml')).toBe(true);
+  expect(manager.getStats().fallbacks).toBe(1);
+});
+
+test('AssetManager falls back across cities and prefers city-scoped numerals', async () => {
+  const manager = new AssetManager();
+  manager.setManifest(buildManifest([
+    ...files,
+    'Alphabet/cities/CHI/Alphabet/B/sans-upper/01.jpg',
+    'Alphabet/cities/CHI/Numbers/1/01.jpg'
+  ], { CHI: { name: 'Chicago', attribution: 'Test' } }));
+
+  const chicago = { style: 'sans', case: 'upper', city: 'CHI', fallbackCities: ['NYC'] };
+  await expect(manager.get({ ...chicago, char: 'B' }))
+    .resolves.toBe('assets/Alphabet/cities/CHI/Alphabet/B/sans-upper/01.jpg');
+  await expect(manager.get({ ...chicago, char: 'A' }))
+    .resolves.toBe('assets/Alphabet/cities/NYC/Alphabet/A/sans-upper/01.jpg');
+  await expect(manager.get({ ...chicago, char: '1' }))
+    .resolves.toBe('assets/Alphabet/cities/CHI/Numbers/1/01.jpg');
+  await expect(manager.get({ char: '1', style: 'sans', case: 'upper', city: 'NYC', fallbackCities: [] }))
+    .resolves.toBe('assets/Numbers/1/01.jpg');
+
+  expect(manager.getCities().map(c => c.name)).toEqual(['Chicago', 'NYC']);
+});
+
+test('listManifestFolders describes each folder by city, kind and glyph', () => {
+  const folders = listManifestFolders(buildManifest(files));
+  expect(folders).toContainEqual({
+    path: 'assets/Alphabet/cities/NYC/Alphabet/A/sans-upper',
+    city: 'NYC',
+    kind: 'letter',
+    glyph: 'A',
+    folder: 'sans-upper',
+    files: ['01.jpg', '02.jpg']
+  });
+  expect(folders).toContainEqual({ path: 'assets/Symbols/period', city: null, kind: 'symbol', glyph: 'period', folder: null, files: ['01.jpg'] });
+});
+
+test('numerals and symbols use style subfolders before unstyled photos', async () => {
+  const manager = new AssetManager();
+  const manifest = buildManifest([
+    ...files,
+    'Numbers/1/serif/01.jpg',
+    'Alphabet/cities/NYC/Symbols/em-dash/Display:Decorative/01.jpg',
+    'Symbols/euro/01.jpg'
+  ]);
+  manager.setManifest(manifest);
+
+  expect(manifest.styledNumbers['1']).toEqual({ serif: ['01.jpg'] });
+  expect(listManifestFolders(manifest)).toContainEqual({
+    path: 'assets/Alphabet/cities/NYC/Symbols/em-dash/Display:Decorative',
+    city: 'NYC',
+    kind: 'symbol',
+    glyph: 'em-dash',
+    folder: 'Display:Decorative',
+    files: ['01.jpg']
+  });
+
+  const shared = { case: 'upper', city: 'NYC', fallbackCities: [] };
+  await expect(manager.get({ ...shared, char: '1', style: 'serif' })).resolves.toBe('assets/Numbers/1/serif/01.jpg');
+  await expect(manager.get({ ...shared, char: '1', style: 'sans' })).resolves.toBe('assets/Numbers/1/01.jpg');
+  await expect(manager.get({ ...shared, char: '—', style: 'decorative' }))
+    .resolves.toBe('assets/Alphabet/cities/NYC/Symbols/em-dash/Display:Decorative/01.jpg');
+  await expect(manager.get({ ...shared, char: '€', style: 'sans' })).resolves.toBe('assets/Symbols/euro/01.jpg');
+  expect(manager._mapSymbolToFolderName('”')).toBe('quote-close');
+});
@@ -0,0 +1,44 @@
+import { buildImagePDF, fitToArea, getPrintGeometry, setPngDpi } from '../src/modules/printExport.js';
+
+test('getPrintGeometry adds bleed around the trim and insets the safe area', () => {
+  const geometry = getPrintGeometry('11x17', { dpi: 300, bleed: 0.125, safeMargin: 0.25 });
+  expect(geometry).toMatchObject({ dpi: 300, widthPx: 3375, heightPx: 5175, bleedPx: 38, widthPt: 810, heightPt: 1242 });
+  expect(geometry.safe).toEqual({ x: 113, y: 113, w: 3150, h: 4950 });
+  expect(getPrintGeometry('24x36', { dpi: 600 }).dpi).toBeLessThan(600);
+});
+
+test('fitToArea keeps proportions and centers horizontally', () => {
+  expect(fitToArea(100, 100, { x: 10, y: 10, w: 400, h: 200 })).toEqual({ scale: 2, x: 110, y: 10 });
+});
+
+test('setPngDpi inserts a pHYs chunk after IHDR', () => {
+  const png = new Uint8Array([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0, 0, 1, 0, 0, 0, 1, 8, 2, 0, 0, 0, 0x90, 0x77, 0x53, 0xde,
+    0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82
+  ]);
+  const tagged = setPngDpi(png, 300);
+  const view = new DataView(tagged.buffer);
+
+  expect(tagged.length).toBe(png.length + 21);
+  expect(String.fromCharCode(...tagged.subarray(37, 41))).toBe('pHYs');
+  expect(view.getUint32(41)).toBe(11811);
+  expect(setPngDpi(tagged, 150).length).toBe(tagged.length);
+});
+
+test('buildImagePDF writes a single page with trim and bleed boxes', () => {
+  const pdf = new TextDecoder('latin1').decode(buildImagePDF({
+    jpeg: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]),
+    pixelWidth: 10,
+    pixelHeight: 20,
+    widthPt: 810,
+    heightPt: 1242,
+    bleedPt: 9
+  }));
+
+  expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+  expect(pdf).toContain('/MediaBox [0 0 810 1242]');
+  expect(pdf).toContain('/TrimBox [9 9 801 1233]');
+  expect(pdf).toContain('/Width 10 /Height 20');
+  expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+});
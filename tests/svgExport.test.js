@@ -0,0 +1,79 @@
+import { buildLayoutSVG, textureTile } from '../src/modules/svgExport.js';
+import { themes } from '../src/modules/config.js';
+import { generateFallbackLetterSVG } from '../src/modules/utils.js';
+
+const cell = (x) => ({ x, y: 60, w: 40, h: 60 });
+
+test('buildLayoutSVG places photos as <image> and fallbacks as real text', () => {
+  const svg = buildLayoutSVG({
+    width: 200,
+    height: 160,
+    imageHrefs: new Map([['assets/a.jpg', 'data:image/jpeg;base64,AAAA']]),
+    items: [
+      { index: 0, kind: 'image', letter: { value: 'A', url: 'assets/a.jpg' }, cell: cell(10), box: { x: 10, y: 60, w: 40, h: 72.5 } },
+      { index: 1, kind: 'text', letter: { value: '&', style: 'sans-upper' }, cell: cell(55), box: cell(55) },
+      { index: 2, kind: 'svg', letter: { value: 'z', url: generateFallbackLetterSVG('z', 'sans-lower') }, cell: cell(100), box: { x: 104, y: 35, w: 32, h: 60 } }
+    ]
+  });
+
+  expect(svg).toContain('<image x="10" y="60" width="40" height="72.5" preserveAspectRatio="none" href="data:image/jpeg;base64,AAAA"');
+  expect(svg).toContain('>&amp;</text>');
+  expect(svg).toContain('<svg x="104" y="35" width="32" height="60" viewBox="0 0 40 60" preserveAspectRatio="none">');
+  expect(svg).toMatch(/>z<\/text>/);
+});
+
+test('buildLayoutSVG keeps ids unique when a fallback repeats', () => {
+  const url = generateFallbackLetterSVG('z', 'sans-lower');
+  const svg = buildLayoutSVG({
+    width: 200,
+    height: 100,
+    items: [0, 1].map(index => ({ index, kind: 'svg', letter: { value: 'z', url }, cell: cell(index * 50), box: cell(index * 50) }))
+  });
+
+  const ids = [...svg.matchAll(/\bid="([^"]+)"/g)].map(match => match[1]);
+  expect(ids.length).toBeGreaterThan(1);
+  expect(new Set(ids).size).toBe(ids.length);
+  ids.filter(id => id.startsWith('shadow')).forEach(id => expect(svg).toContain(`url(#${id})`));
+});
+
+test('buildLayoutSVG shows only the crop of a cropped photo', () => {
+  const svg = buildLayoutSVG({
+    width: 100,
+    height: 100,
+    items: [{
+      index: 0,
+      kind: 'image',
+      letter: { value: 'A', url: 'assets/a.jpg' },
+      cell: cell(10),
+      box: { x: 10, y: 20, w: 30, h: 60 },
+      crop: { x: 50, y: 0, w: 100, h: 200, imageWidth: 200, imageHeight: 200 }
+    }]
+  });
+
+  expect(svg).toContain('<svg x="10" y="20" width="30" height="60" viewBox="50 0 100 200" preserveAspectRatio="none">' +
+    '<image width="200" height="200" href="assets/a.jpg"');
+});
+
+test('buildLayoutSVG draws the theme background, photo effects and fallback palette', () => {
+  const svg = buildLayoutSVG({
+    width: 100,
+    height: 100,
+    theme: { ...themes.blueprint, blendMode: 'multiply' },
+    items: [
+      { index: 0, kind: 'image', letter: { value: 'A', url: 'assets/a.jpg' }, cell: cell(10), box: cell(10) },
+      { index: 1, kind: 'text', letter: { value: '7', style: 'sans' }, cell: cell(55), box: cell(55) }
+    ]
+  });
+
+  expect(svg).toContain('<rect width="100%" height="100%" fill="#1d3f72"/>');
+  expect(svg).toContain('<pattern id="texture" width="24" height="24" patternUnits="userSpaceOnUse">');
+  expect(svg).toContain('filter="url(#tint)" style="mix-blend-mode:multiply">');
+  expect(svg).toContain(`fill="${themes.blueprint.palette.number.background}"`);
+});
+
+test('textureTile repeats the same grain on every call', () => {
+  const grain = { type: 'grain', color: '#000000', opacity: 0.1, density: 0.01 };
+  expect(textureTile(grain)).toEqual(textureTile(grain));
+  expect(textureTile(grain).rects).toHaveLength(164);
+  expect(textureTile(null)).toBeNull();
+});
@@ -0,0 +1,61 @@
+import { decodeState, encodeState, hasState } from '../src/modules/urlState.js';
+
+test('encodeState and decodeState round-trip the generator state', () => {
+  const state = {
+    text: 'Hello NYC',
+    style: 'script',
+    city: 'mixed',
+    caseOption: 'upper',
+    styleFallback: 'svg',
+    size: '96',
+    lineHeight: '1.5',
+    padding: '0.25',
+    fit: '1',
+    format: '11x17',
+    theme: 'night',
+    tracking: '-6',
+    kerning: 'off',
+    seed: '42',
+    locks: {
+      2: { type: 'letter', value: 'L', style: 'sans-upper', city: 'NYC', url: 'assets/Alphabet/cities/NYC/Alphabet/L/sans-upper/02.jpg' }
+    }
+  };
+
+  const decoded = decodeState(`?${encodeState(state)}`);
+  expect(decoded).toMatchObject({ ...state, locks: {} });
+  expect(decoded.locks[2]).toMatchObject({ ...state.locks[2], locked: true, isFallback: false });
+});
+
+test('defaults are left out of the URL and restored on decode', () => {
+  expect(encodeState({ style: 'sans', city: 'NYC', size: '60', seed: '7' })).toBe('seed=7');
+  expect(decodeState('').style).toBe('sans');
+  expect(hasState('?utm_source=x')).toBe(false);
+  expect(decodeState('?locks=not-json').locks).toEqual({});
+});
+
+test('locks pointing outside assets/ are dropped', () => {
+  const locks = [
+    [0, 'A', 'sans-upper', 'NYC', 'https://example.com/tracker.jpg'],
+    [1, 'B', 'sans-upper', 'NYC', 'assets/../../secret.jpg'],
+    [2, 'C', 'sans-upper', 'NYC', 'assets/Alphabet/cities/NYC/Alphabet/C/sans-upper/01.jpg'],
+    [3, 'D', 'mono-upper', null, null]
+  ];
+  const decoded = decodeState(`?locks=${encodeURIComponent(JSON.stringify(locks))}`).locks;
+
+  expect(Object.keys(decoded)).toEqual(['2', '3']);
+  expect(decoded[3].isFallback).toBe(true);
+});
+
+test('links from the size toggle keep their size', () => {
+  expect(decodeState('?size=large').size).toBe('120');
+  expect(decodeState('?size=small').size).toBe('60');
+});
+
+test('photo treatment round-trips as its non-default fields', () => {
+  const processing = { levels: true, tone: 'grayscale', duotoneDark: '#1b1b3a', duotoneLight: '#f4e9d8', knockout: 'key', threshold: 160, tolerance: 40 };
+  const query = encodeState({ processing });
+  expect(new URLSearchParams(query).get('fx')).toBe('{"levels":true,"tone":"grayscale","knockout":"key","tolerance":40}');
+  expect(decodeState(`?${query}`).processing).toEqual(processing);
+  expect(encodeState({ processing: { ...processing, levels: false, tone: 'none', knockout: 'off', tolerance: 60 } })).toBe('');
+  expect(decodeState('?fx={"tone":3,"bogus":1}').processing.tone).toBe('none');
+});
@@ -1,5 +1,22 @@
-import { getSystemFontFallbacks } from '../src/modules/utils.js';
+import { createSeededRandom, generateFallbackLetterSVG, getSystemFontFallbacks } from '../src/modules/utils.js';
+import { getFallbackColors, themes } from '../src/modules/config.js';
 
 test('getSystemFontFallbacks returns sans-serif for sans', () => {
   expect(getSystemFontFallbacks('sans')).toMatch(/sans-serif/);
 });
+
+test('createSeededRandom repeats its sequence for the same seed', () => {
+  const a = createSeededRandom('42');
+  const b = createSeededRandom(42);
+  const first = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(first);
+  expect(first.every(n => n >= 0 && n < 1)).toBe(true);
+});
+
+test('generateFallbackLetterSVG colors glyphs from a theme palette', () => {
+  const svg = url => decodeURIComponent(url);
+  expect(svg(generateFallbackLetterSVG('A', 'serif-upper'))).toContain(`fill="${themes.paper.palette.serif.fill}"`);
+  expect(svg(generateFallbackLetterSVG('4', 'serif-upper', themes.night.palette))).toContain(`fill="${themes.night.palette.number.fill}"`);
+  expect(getFallbackColors(themes.blueprint.palette, 'a', 'script-lower')).toBe(themes.blueprint.palette.default);
+  expect(getFallbackColors(themes.paper.palette, '?', 'sans')).toBe(themes.paper.palette.symbol);
+});